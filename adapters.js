@@ -0,0 +1,96 @@
+// Pane Fullscreen - Player Adapters
+// Well-known players are expanded as a whole (controls, captions, menus and all) instead
+// of just their <video>. Site adapters apply on their own hostnames; generic adapters
+// apply wherever their player markup is found. Pages no adapter handles get the
+// generic detection in content.js.
+
+self.PaneFullscreenAdapters = (() => {
+  'use strict';
+
+  // Adapter fields:
+  //   name      Shown in hints and diagnostics
+  //   hosts     Hostnames the adapter applies to, subdomains included (omit for generic players)
+  //   target    Selector for the player element to expand, found around the chosen video
+  //   controls  Selector for the player's own controls, whose clicks are left alone
+  //   isPlaying Reads the play state from the player (optional; the video's state otherwise)
+  //   isAd      Tells whether the player is showing an ad (optional)
+  //   next      Selector for the player's "next video" button, used when a video ends (optional)
+  const SITE_ADAPTERS = [
+    {
+      name: 'YouTube',
+      hosts: ['youtube.com', 'youtube-nocookie.com'],
+      target: '#movie_player, .html5-video-player',
+      controls: '.ytp-chrome-top, .ytp-chrome-bottom, .ytp-settings-menu, .ytp-popup, .ytp-ad-module',
+      isPlaying: player => player.classList.contains('playing-mode'),
+      isAd: player => player.classList.contains('ad-showing') || player.classList.contains('ad-interrupting'),
+      next: '.ytp-next-button'
+    },
+    {
+      name: 'Vimeo',
+      hosts: ['vimeo.com'],
+      target: '.vp-player-layout, .player',
+      controls: '.vp-controls, .vp-menu, .vp-prefs, .vp-sidedock, .vp-title'
+    },
+    {
+      name: 'Twitch',
+      hosts: ['twitch.tv'],
+      target: '.video-player__container, [data-a-target="video-player"]',
+      controls: '.player-controls, [data-a-target="player-controls"], [data-a-target="player-settings-menu"]',
+      isAd: player => !!player.querySelector('[data-a-target="video-ad-label"], [data-a-target="video-ad-countdown"]')
+    },
+    {
+      name: 'X',
+      hosts: ['x.com', 'twitter.com'],
+      target: '[data-testid="videoPlayer"]',
+      controls: '[data-testid="videoPlayer"] [role="slider"], [data-testid="videoPlayer"] button, [role="menu"]'
+    }
+  ];
+
+  const GENERIC_ADAPTERS = [
+    {
+      name: 'JW Player',
+      target: '.jwplayer',
+      controls: '.jw-controls, .jw-controlbar, .jw-settings-menu',
+      isPlaying: player => player.classList.contains('jw-state-playing'),
+      isAd: player => player.classList.contains('jw-flag-ads'),
+      next: '.jw-icon-next'
+    },
+    {
+      name: 'Video.js',
+      target: '.video-js',
+      controls: '.vjs-control-bar, .vjs-menu, .vjs-big-play-button, .vjs-text-track-settings',
+      isPlaying: player => player.classList.contains('vjs-playing'),
+      isAd: player => player.classList.contains('vjs-ad-playing') || player.classList.contains('vjs-ad-loading')
+    },
+    {
+      name: 'Plyr',
+      target: '.plyr',
+      controls: '.plyr__controls, .plyr__menu, .plyr__control--overlaid',
+      isPlaying: player => player.classList.contains('plyr--playing'),
+      isAd: player => !!player.querySelector('.plyr__ads:not([hidden]) iframe, .plyr__ads:not([hidden]) video')
+    }
+  ];
+
+  /**
+   * Check if a hostname is one of the adapter's hosts or a subdomain of one
+   */
+  function matchesHost(adapter, hostname) {
+    const host = (hostname || '').toLowerCase();
+    return adapter.hosts.some(domain => host === domain || host.endsWith('.' + domain));
+  }
+
+  /**
+   * Get the adapters that may apply on a hostname, site adapters first
+   */
+  function getAdapters(hostname) {
+    return SITE_ADAPTERS
+      .filter(adapter => matchesHost(adapter, hostname))
+      .concat(GENERIC_ADAPTERS);
+  }
+
+  return {
+    SITE_ADAPTERS,
+    GENERIC_ADAPTERS,
+    getAdapters
+  };
+})();
@@ -0,0 +1,117 @@
+// Pane Fullscreen - Background Service Worker
+// Handles global keyboard shortcuts and the context menu so common actions don't need the popup
+
+importScripts('messaging.js', 'settings.js');
+
+// Keyboard commands (see "commands" in manifest.json) mapped to content script actions
+const COMMAND_ACTIONS = {
+  'select-video': 'selectVideo',
+  'pick-element': 'pickElement',
+  'exit-pane-fullscreen': 'exitFullscreen'
+};
+
+// Context menu items
+const ENTER_MENU_ID = 'pane-fullscreen-enter';
+const EXIT_MENU_ID = 'pane-fullscreen-exit';
+
+/**
+ * Briefly flag a failed shortcut on the toolbar icon, since there is no popup to show it
+ */
+function showFailureBadge(tabId, message) {
+  chrome.action.setBadgeBackgroundColor({ tabId, color: '#e53e3e' });
+  chrome.action.setBadgeText({ tabId, text: '!' });
+  chrome.action.setTitle({ tabId, title: `Pane Fullscreen: ${message}` });
+
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: '' });
+    chrome.action.setTitle({ tabId, title: '' });
+  }, 3000);
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  tab = tab || await getActiveTab();
+  if (!tab) return;
+
+  let action = COMMAND_ACTIONS[command];
+
+  // Toggle: exit if a session is active, otherwise auto-detect
+  if (command === 'toggle-pane-fullscreen') {
+    const status = await sendActionToTab(tab, 'getStatus');
+    if (status && status.success === false) {
+      showFailureBadge(tab.id, status.message);
+      return;
+    }
+    action = status && status.isActive ? 'exitFullscreen' : 'autoFullscreen';
+  }
+
+  if (!action) return;
+
+  const response = await sendActionToTab(tab, action);
+  if (response && response.success === false) {
+    showFailureBadge(tab.id, response.message || 'Action failed');
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  PaneFullscreenSettings.migrateSiteSettings();
+  PaneFullscreenSettings.migratePlaybackHistory();
+
+  chrome.contextMenus.create({
+    id: ENTER_MENU_ID,
+    title: 'Pane fullscreen this video',
+    contexts: ['video', 'frame', 'page']
+  });
+  chrome.contextMenus.create({
+    id: EXIT_MENU_ID,
+    title: 'Exit pane fullscreen',
+    contexts: ['all'],
+    visible: false
+  });
+});
+
+/**
+ * Show the exit item only while the active tab has a session running
+ */
+function updateExitMenuItem(isActive) {
+  chrome.contextMenus.update(EXIT_MENU_ID, { visible: !!isActive });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab) return;
+
+  let response;
+
+  if (info.menuItemId === EXIT_MENU_ID) {
+    response = await sendActionToTab(tab, 'exitFullscreen');
+  } else if (info.menuItemId === ENTER_MENU_ID) {
+    // The right-clicked frame knows what was under the cursor
+    response = await sendActionToTab(tab, 'contextMenuFullscreen', { frameId: info.frameId });
+
+    // A frame with no player of its own to offer (or no content script) is expanded whole by the top frame
+    if (response && response.success === false && info.frameId && info.frameUrl) {
+      response = await sendActionToTab(tab, 'contextMenuFullscreen', { data: { frameUrl: info.frameUrl } });
+    }
+  }
+
+  if (response && response.success === false) {
+    showFailureBadge(tab.id, response.message || 'Action failed');
+  }
+});
+
+// Sessions report when they start and end (see notifySessionChanged in content.js)
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type === 'sessionChanged' && sender.tab && sender.tab.active) {
+    updateExitMenuItem(message.isActive);
+  }
+});
+
+// The menu is shared by all tabs, so match it to whichever tab comes to the front
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  try {
+    const status = await chrome.tabs.sendMessage(tabId, { action: 'getStatus' }, { frameId: 0 });
+    updateExitMenuItem(status && status.isActive);
+  } catch (error) {
+    // No content script in this tab, so no session either
+    updateExitMenuItem(false);
+  }
+});
@@ -1,216 +1,561 @@
 // Pane Fullscreen - Content Script
 // Handles video detection, overlay creation, and fullscreen management
-// Supports both native video elements and cross-origin iframe players
+// Supports both native video elements and cross-origin iframe players,
+// relaying between frames so players in cross-origin frames expand their real video
 
 (function() {
   'use strict';
 
+  // Injecting into a tab also reaches frames that already run this script
+  if (window.__paneFullscreen) return;
+
   // State management
   let isActive = false;
   let currentElement = null;
   let overlay = null;
+  let backdrop = null;
   let elementContainer = null;
+  let toolbar = null;
+  let hint = null;
+  let hintTimeout = null;
   let originalElementState = null;
-  let selectMode = false;
+  let selectState = null; // Select or pick mode: { layer, cleanup, ... } (see enableSelectMode, enablePickMode)
+  let diagnostics = null; // Diagnostics view: { layer, reposition }
+  let listedCandidates = []; // Candidates last listed in the popup, addressed there by index
+  let highlightBox = null;
+  let contextMenuTarget = null; // Element and point of the last right-click: { element, x, y }
   let videoClickHandler = null;
-  let playIndicator = null;
+  let indicator = null;
+  let indicatorTimeout = null;
+  let videoResizeHandler = null;
+  let targetObserver = null;
+  let targetCheckTimeout = null;
+  let targetLostTimeout = null;
+  let keyBindings = PaneFullscreenSettings.DEFAULT_KEY_BINDINGS;
+
+  // How the current element is fitted into the pane (see computeFitLayout)
+  let fitMode = 'contain';
+  let zoomLevel = 1;
+  let panOffset = { x: 0, y: 0 };
+  let panSurface = null;
+  let paneResizeObserver = null;
+  let inRealFullscreen = false; // The current element left the pane for real fullscreen
+
+  // Ranked alternatives to the current element, for cycling while active
+  let candidates = [];
+  let candidateIndex = -1;
+
+  // Multi-pane layouts: elements shown beside the current one (see addPane)
+  let extraPanes = []; // [{ element, type, adapter, state }]
+  let paneLayout = 'columns';
+  let paneSplits = []; // Where the pane is divided, as fractions (see getPaneSlots)
+  let paneChrome = null; // Dividers and per-pane buttons: { layer, dividers, controls }
+  let paneMenu = null;
+  let audioPane = 0; // Index of the pane whose sound plays, counting the current element as 0
+
+  // Mini pane: the pane floats in a frame over the page instead of covering it (see setMiniPane)
+  let miniPane = false;
+  let miniRect = null; // { left, top, width, height } of the frame, in viewport px
+  let miniBar = null;
+  let miniGrip = null;
+
+  // Picture-in-Picture the current element was moved into: { kind: 'video' | 'document', element, type, ... }
+  let pipSession = null;
+
+  // Auto-enter on play (per-site rule): the countdown running, and what was already considered
+  let autoEnterCountdown = null;
+  let playRootObserver = null;
+  const autoEnterHandled = new WeakSet();
+  const watchedPlayRoots = new WeakSet();
+
+  // Picture adjustments of the current element (see DEFAULT_ADJUSTMENTS)
+  let adjustments = null;
+  let adjustPanel = null;
+  let sharpenFilter = null;
+  let adjustSaveTimeout = null;
+
+  // Idle auto-hide of the overlay's controls and the cursor
+  let idleTracking = false;
+  let idleTimer = null;
+  let idleHold = false; // Pointer is on one of the overlay's controls
+  let idleFrames = []; // Iframes in panes asked to report activity
+  let activityWatch = null; // In a child frame: reports activity to the parent while set
+
+  // Sleep timer: { option, timeout }, option being one of SLEEP_TIMER_OPTIONS
+  let sleepTimer = null;
+
+  // Audio enhancements of the heard media (see DEFAULT_AUDIO_SETTINGS)
+  let audioSettings = null;
+  let audioPanel = null;
+  let audioContext = null;
+  let routedMedia = null; // Media whose sound currently goes through its graph
+  const audioGraphs = new WeakMap(); // Media element -> its Web Audio nodes, kept for the page's lifetime
+
+  // Playback history (see updatePlaybackRecord in settings.js)
+  let historyTimer = null;
+  let resumePrompt = null;
+  let savedRecord = null; // JSON of the record last saved, so unchanged ticks aren't written
+
+  // Cross-frame state
+  let frameSession = null; // Child frame we expanded and asked to pane-fullscreen its own video
+  let embeddedSession = false; // True in a child frame whose session was started by its parent
+  let frameQueryId = 0;
+  const relayFrames = new WeakSet(); // Child iframes that announced themselves or were queried
+  const frameQueries = new Map();
+
+  // Shadow roots that received a copy of styles.css
+  const styledShadowRoots = new WeakSet();
+
+  // Settings for the current site, and general preferences (see settings.js)
+  let siteSettings = {};
+  let preferences = { ...PaneFullscreenSettings.DEFAULT_PREFERENCES };
+
+  // Detection rules (see DEFAULT_DETECTION_RULES in settings.js), replaced by the user's once loaded
+  let iframePatterns = [];
+  let containerSelectors = [];
+  let containerSelector = '';
+  let exclusionSelectors = [];
+  let exclusionSelector = '';
+
+  // Player adapters that may apply in this frame, and the one handling the current element (see adapters.js)
+  const adapters = PaneFullscreenAdapters.getAdapters(location.hostname);
+  let currentAdapter = null;
 
   // Constants
   const OVERLAY_ID = 'pane-fullscreen-overlay';
   const CONTAINER_ID = 'pane-fullscreen-container';
+  const BACKDROP_ID = 'pane-fullscreen-backdrop';
+  const IS_TOP_FRAME = window === window.top;
+  const FRAME_MESSAGE_KEY = '__paneFullscreen';
+  const FRAME_MESSAGE_TYPES = [
+    'greet', 'ready', 'query', 'candidates', 'enter', 'fit', 'mini', 'sleepTimer', 'audio',
+    'watchActivity', 'idle', 'activity', 'exit', 'playing', 'stayOut', 'expand', 'exited'
+  ];
+  const FRAME_QUERY_TIMEOUT = 300; // ms to wait for child frames to report their videos
+  const TARGET_CHECK_DELAY = 100; // ms to let a burst of page mutations settle
+  const TARGET_LOST_GRACE = 2000; // ms to wait for a replacement before exiting
+  const THUMBNAIL_WIDTH = 96; // px, popup candidate thumbnails
+  const SELECT_TIMEOUT = 15; // seconds select mode waits for a choice
+  const AUTO_ENTER_ATTEMPTS = 10; // Looks for a video when auto-entering on load, a second apart
+  const AUTO_ENTER_GRACE = 3; // seconds to press ESC before auto-entering on play
+  const AUTO_ENTER_MIN_AREA = 320 * 180; // px², smaller videos never auto-enter
+  const PLAY_WATCH_DELAY = 1000; // ms between looks for new shadow roots in what the page added
+  const SLEEP_TIMER_OPTIONS = [15, 30, 60, 'end', null]; // minutes, the end of this video, or off
+  // Labels of "next" controls for players without an adapter: any "Next" inside the
+  // player, but only clearly video ones elsewhere on the page (not pagination)
+  const NEXT_CONTROL_PATTERN = /^(play )?next\b/i;
+  const PAGE_NEXT_CONTROL_PATTERN = /\bnext (episode|video)\b|^skip to next/i;
+  const IDLE_CLASS = 'pane-fullscreen-idle'; // On <html> while the controls and cursor are hidden
+  const IDLE_ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel'];
+  const IDLE_HOLD_SELECTOR = '.pane-fullscreen-toolbar, .pane-fullscreen-close-btn, .pane-fullscreen-pane-controls, .pane-fullscreen-resume, .pane-fullscreen-adjust';
+  const ACTIVITY_REPORT_INTERVAL = 250; // ms between activity reports from a child frame
+  const HISTORY_SAVE_INTERVAL = 5000; // ms between saves of the playback record
+  const RESUME_MIN_POSITION = 10; // seconds, positions this close to either end aren't offered
+  const RESUME_PROMPT_DURATION = 10000; // ms the resume prompt stays up
+
+  // Keyboard playback steps
+  const SEEK_STEP = 5; // seconds, arrow keys
+  const SEEK_STEP_LONG = 10; // seconds, J/L
+  const VOLUME_STEP = 0.05;
+  const SPEED_STEP = 0.25;
+  const MIN_SPEED = 0.25;
+  const MAX_SPEED = 4;
+
+  // Fit modes (see FIT_MODES in settings.js) that crop to a fixed aspect ratio
+  const FORCED_RATIOS = {
+    '4:3': 4 / 3,
+    '16:9': 16 / 9,
+    '21:9': 21 / 9,
+    '1:1': 1
+  };
+  const ZOOM_STEP = 0.1;
+  const DEFAULT_ZOOM = 1.25;
+  const MIN_ZOOM = 1;
+  const MAX_ZOOM = 4;
 
-  // Common video player iframe URL patterns
-  const VIDEO_IFRAME_PATTERNS = [
-    /player\./i,
-    /embed/i,
-    /video/i,
-    /stream/i,
-    /megaplay/i,
-    /aniwave/i,
-    /youtube\.com\/embed/i,
-    /youtube-nocookie\.com\/embed/i,
-    /player\.vimeo\.com/i,
-    /dailymotion\.com\/embed/i,
-    /twitch\.tv\/embed/i,
-    /facebook\.com\/plugins\/video/i,
-    /streamable\.com/i,
-    /vidyard/i,
-    /wistia/i,
-    /jwplatform/i,
-    /brightcove/i,
-    /kaltura/i,
-    /ooyala/i,
-    /vidcloud/i,
-    /mp4upload/i,
-    /gogoplay/i,
-    /streamsb/i,
-    /fembed/i,
-    /mixdrop/i
+  // Inline styles of the fit layout and picture adjustments (see applyLayout)
+  const LAYOUT_STYLE_PROPERTIES = [
+    'position', 'left', 'top', 'width', 'height', 'max-width', 'max-height', 'margin',
+    'box-sizing', 'transform', 'transform-origin', 'clip-path', 'filter'
   ];
 
-  // Common video container selectors
-  const VIDEO_CONTAINER_SELECTORS = [
-    '#video-player',
-    '#player-container',
-    '#player',
-    '.video-player',
-    '.player-container',
-    '.video-container',
-    '.player-wrapper',
-    '.video-wrapper',
-    '[class*="video-player"]',
-    '[class*="player-container"]',
-    '[id*="video-player"]',
-    '[id*="player-container"]'
+  // Picture adjustments: CSS filters, plus rotation and mirroring in the fit layout
+  const DEFAULT_ADJUSTMENTS = {
+    brightness: 1,
+    contrast: 1,
+    saturate: 1,
+    hue: 0, // degrees
+    sharpness: 0, // -1 (most blur) to 1 (most sharpening)
+    rotate: 0, // degrees, in quarter turns
+    flipX: false,
+    flipY: false
+  };
+  const ADJUSTMENT_SLIDERS = [
+    { key: 'brightness', label: 'Brightness', min: 0, max: 2, step: 0.05, format: value => `${Math.round(value * 100)}%` },
+    { key: 'contrast', label: 'Contrast', min: 0, max: 2, step: 0.05, format: value => `${Math.round(value * 100)}%` },
+    { key: 'saturate', label: 'Saturation', min: 0, max: 3, step: 0.05, format: value => `${Math.round(value * 100)}%` },
+    { key: 'hue', label: 'Hue', min: -180, max: 180, step: 5, format: value => `${value}°` },
+    {
+      key: 'sharpness',
+      label: 'Sharpen / blur',
+      min: -1,
+      max: 1,
+      step: 0.1,
+      format: value => value === 0 ? 'Off' : `${value > 0 ? 'Sharpen' : 'Blur'} ${Math.round(Math.abs(value) * 100)}%`
+    }
   ];
+  const MAX_BLUR = 4; // px at the far blur end of the sharpness slider
+  const SHARPEN_FILTER_ID = 'pane-fullscreen-sharpen';
+  const ADJUST_SAVE_DELAY = 500; // ms of slider stillness before remembered adjustments are saved
+
+  // Audio enhancements: a Web Audio graph between the media and the speakers
+  const DEFAULT_AUDIO_SETTINGS = {
+    boost: 1, // gain, 1 to MAX_AUDIO_BOOST
+    nightMode: false, // dynamics compressor evening out loud and quiet parts
+    mono: false // both channels mixed into both speakers
+  };
+  const AUDIO_BOOST_STEPS = [1, 1.5, 2, 3, 4];
+  const MAX_AUDIO_BOOST = 4;
+  const UNROUTABLE_AUDIO_MESSAGE = 'This video\'s sound comes from another site that doesn\'t allow it to be changed, so boost, night mode and mono are unavailable';
+  const PAGE_ROUTED_AUDIO_MESSAGE = 'This page already processes this video\'s sound itself, so boost, night mode and mono are unavailable';
+
+  // Multi-pane layouts
+  const MAX_PANES = 4;
+  const PANE_LAYOUTS = ['columns', 'rows', 'grid'];
+  const PANE_LAYOUT_LABELS = {
+    columns: 'Side by side',
+    rows: 'Stacked',
+    grid: 'Grid'
+  };
+  const PANE_GAP = 8; // px between panes, also the width of the dividers
+  const MIN_PANE_SHARE = 0.15;
+
+  // Mini pane frame
+  const MINI_BAR_HEIGHT = 28; // px, matches the frame's top padding in styles.css
+  const MINI_MARGIN = 16; // px from the window edge when snapped
+  const MINI_SNAP_DISTANCE = 32; // px from an edge within which a dropped frame snaps to it
+  const MINI_MIN_WIDTH = 240;
+  const MINI_MIN_HEIGHT = 160;
+  const PIP_WINDOW_WIDTH = 640; // px, Document Picture-in-Picture windows open this wide
+
+  // Display names for element types
+  const TYPE_LABELS = {
+    video: 'Video',
+    iframe: 'Player',
+    container: 'Container',
+    element: 'Element'
+  };
+
+  // On-screen display and toolbar icons (24x24 paths)
+  const ICONS = {
+    play: 'M8 5v14l11-7z',
+    pause: 'M6 19h4V5H6v14zm8-14v14h4V5h-4z',
+    forward: 'M4 18l8.5-6L4 6v12zm9-12v12l8.5-6L13 6z',
+    rewind: 'M11 18V6l-8.5 6 8.5 6zm.5-6l8.5 6V6l-8.5 6z',
+    volume: 'M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02z',
+    mute: 'M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zM19 12c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z',
+    previous: 'M6 6h2v12H6zm3.5 6l8.5 6V6z',
+    next: 'M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z',
+    expand: 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z',
+    mini: 'M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z',
+    sound: 'M10 20h4V4h-4v16zm-6 0h4v-8H4v8zM16 9v11h4V9h-4z',
+    adjust: 'M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z',
+    sleep: 'M9.27 4.49c-1.63 7.54 3.75 12.41 7.66 13.8C15.54 19.38 13.81 20 12 20c-4.41 0-8-3.59-8-8 0-3.45 2.2-6.4 5.27-7.51m2.72-2.48C6.4 2.01 2 6.54 2 12c0 5.52 4.48 10 10 10 3.05 0 5.78-1.37 7.61-3.53-6.95.22-12.12-6.88-7.62-16.46z',
+    autoEnterOff: 'M8 5.19V5l11 7-2.55 1.63L8 5.19zm12 14.54l-5.11-5.11L8 7.46 4.27 3.73 3 5l5 5v9l5.33-3.4L18.73 21 20 19.73z',
+    pip: 'M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z',
+    close: 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z',
+    addPane: 'M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z',
+    layout: 'M3 5v14h8V5H3zm10 0v6h8V5h-8zm0 8v6h8v-6h-8z',
+    fit: 'M19 12h-2v3h-3v2h5v-5zM7 9h3V7H5v5h2V9zm14-6H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16.01H3V4.99h18v14.02z',
+    speed: 'M20.38 8.57l-1.23 1.85a8 8 0 0 1-.22 7.58H5.07A8 8 0 0 1 15.58 6.85l1.85-1.23A10 10 0 0 0 3.35 19a2 2 0 0 0 1.72 1h13.85a2 2 0 0 0 1.74-1 10 10 0 0 0-.27-10.44zm-9.79 6.84a2 2 0 0 0 2.83 0l5.66-8.49-8.49 5.66a2 2 0 0 0 0 2.83z'
+  };
+
+  // Shared with the main-world fullscreen hook (fullscreen-hook.js)
+  const REDIRECT_ATTRIBUTE = 'data-pane-fullscreen-redirect';
+  const FULLSCREEN_REQUEST_EVENT = 'pane-fullscreen-request';
+  const FULLSCREEN_EXIT_REQUEST_EVENT = 'pane-fullscreen-exit-request';
+  const FULLSCREEN_EXITED_EVENT = 'pane-fullscreen-exited';
+  const LOCATION_CHANGE_EVENT = 'pane-fullscreen-location-change';
+  const AUDIO_ROUTED_ATTRIBUTE = 'data-pane-fullscreen-audio-routed';
+
 
   /**
-   * Check if an iframe is likely a video player
+   * Query a selector across the document, every open shadow root and, unless
+   * includeFrames is false, the documents of same-origin iframes
    */
-  function isVideoIframe(iframe) {
+  function deepQuerySelectorAll(selector, root = document, includeFrames = true) {
+    const results = [];
+
+    const visit = scope => {
+      scope.querySelectorAll(selector).forEach(element => results.push(element));
+      
+      scope.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          visit(element.shadowRoot);
+        }
+        
+        if (includeFrames && element.tagName === 'IFRAME') {
+          try {
+            const frameDoc = element.contentDocument;
+            if (frameDoc) visit(frameDoc);
+          } catch (e) {
+            // Cross-origin iframe, handled by the frame relay
+          }
+        }
+      });
+    };
+
+    visit(root);
+    return results;
+  }
+
+  /**
+   * Get an element's parent, stepping out of shadow roots to their host
+   */
+  function getParentAcross(node) {
+    if (node.parentElement) return node.parentElement;
+    return node.parentNode && node.parentNode.host ? node.parentNode.host : null;
+  }
+
+  /**
+   * Check if a node is inside another, looking through shadow roots and frames
+   */
+  function containsDeep(ancestor, node) {
+    for (let current = node; current; current = getParentAcross(current) || current.ownerDocument?.defaultView?.frameElement) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Like Element.closest, but continues past shadow root boundaries
+   */
+  function closestDeep(element, selector) {
+    for (let node = element; node; node = getParentAcross(node)) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+
+  /**
+   * Make sure styles.css reaches an element inside a shadow tree, where the
+   * page-level stylesheet doesn't apply
+   */
+  function ensureShadowStyles(element) {
+    const root = element.getRootNode();
+    if (!(root instanceof ShadowRoot) || styledShadowRoots.has(root)) return;
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL('styles.css');
+    link.dataset.paneFullscreenStyles = '';
+    root.appendChild(link);
+    styledShadowRoots.add(root);
+  }
+
+  /**
+   * Get the iframe URL pattern an iframe's address matches, if any
+   */
+  function getMatchingPattern(iframe) {
     const src = iframe.src || iframe.dataset?.src || '';
-    if (!src) return false;
+    if (!src) return null;
     
-    return VIDEO_IFRAME_PATTERNS.some(pattern => pattern.test(src));
+    return iframePatterns.find(pattern => pattern.test(src)) || null;
+  }
+
+  /**
+   * Check if an iframe is likely a video player
+   */
+  function isVideoIframe(iframe) {
+    return !!getMatchingPattern(iframe);
+  }
+
+  /**
+   * Find which of a list of selectors matches an element or one of its ancestors
+   */
+  function findMatchingSelector(element, selectors) {
+    return selectors.find(selector => closestDeep(element, selector)) || null;
+  }
+
+  /**
+   * Check if the user excluded an element, or something around it, from detection
+   */
+  function isExcluded(element) {
+    return !!exclusionSelector && !!closestDeep(element, exclusionSelector);
   }
 
   /**
-   * Find all video elements on the page, including those in iframes
+   * Find all video elements on the page, including those in shadow roots
+   * and same-origin iframes
    */
   function findAllVideos() {
-    const videos = [];
+    return deepQuerySelectorAll('video').filter(video => !isExcluded(video));
+  }
+
+  /**
+   * Decide whether an iframe is a video player, and why. Used by detection and
+   * by the diagnostics view.
+   */
+  function classifyIframe(iframe) {
+    if (isExcluded(iframe)) {
+      return { accepted: false, reason: `Excluded by ${findMatchingSelector(iframe, exclusionSelectors)}` };
+    }
+
+    // Check if it matches video patterns
+    const pattern = getMatchingPattern(iframe);
+    if (pattern) {
+      return { accepted: true, reason: `Address matches ${pattern}` };
+    }
     
-    // Find videos in main document
-    document.querySelectorAll('video').forEach(v => videos.push(v));
+    // Check if iframe has reasonable size (likely a player, not an ad)
+    const rect = iframe.getBoundingClientRect();
+    if (rect.width < 200 || rect.height < 150) {
+      return { accepted: false, reason: `Too small (${Math.round(rect.width)}\u00d7${Math.round(rect.height)}, players need 200\u00d7150)` };
+    }
+
+    // Check if it's inside a known video container
+    const container = findMatchingSelector(iframe, containerSelectors);
+    if (container) {
+      return { accepted: true, reason: `Inside a player container (${container})` };
+    }
     
-    // Try to find videos in accessible iframes (same-origin only)
-    document.querySelectorAll('iframe').forEach(iframe => {
-      try {
-        const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-        if (iframeDoc) {
-          iframeDoc.querySelectorAll('video').forEach(v => videos.push(v));
-        }
-      } catch (e) {
-        // Cross-origin iframe, can't access
-      }
-    });
+    // Check aspect ratio (16:9 or similar video aspect ratios)
+    const aspectRatio = rect.width / rect.height;
+    if (aspectRatio >= 1.2 && aspectRatio <= 2.5) {
+      return { accepted: true, reason: `Video-shaped (${aspectRatio.toFixed(2)}:1)` };
+    }
 
-    return videos;
+    return { accepted: false, reason: `Not video-shaped (${aspectRatio.toFixed(2)}:1, needs 1.2\u20132.5:1)` };
   }
 
   /**
    * Find all video player iframes (including cross-origin)
    */
   function findVideoIframes() {
-    const iframes = [];
-    
-    document.querySelectorAll('iframe').forEach(iframe => {
-      // Check if it matches video patterns
-      if (isVideoIframe(iframe)) {
-        iframes.push(iframe);
-        return;
-      }
-      
-      // Check if iframe has reasonable size (likely a player, not an ad)
-      const rect = iframe.getBoundingClientRect();
-      if (rect.width >= 200 && rect.height >= 150) {
-        // Check if it's inside a known video container
-        const container = iframe.closest(VIDEO_CONTAINER_SELECTORS.join(', '));
-        if (container) {
-          iframes.push(iframe);
-          return;
-        }
-        
-        // Check aspect ratio (16:9 or similar video aspect ratios)
-        const aspectRatio = rect.width / rect.height;
-        if (aspectRatio >= 1.2 && aspectRatio <= 2.5) {
-          iframes.push(iframe);
-        }
-      }
-    });
+    return deepQuerySelectorAll('iframe').filter(iframe => classifyIframe(iframe).accepted);
+  }
+
+  /**
+   * Decide whether an element matching a container selector is a player, and why
+   */
+  function classifyContainer(container) {
+    if (isExcluded(container)) {
+      return { accepted: false, reason: `Excluded by ${findMatchingSelector(container, exclusionSelectors)}` };
+    }
+
+    const selector = containerSelectors.find(candidate => container.matches(candidate));
+
+    // Only include if it has an iframe or video inside, or has reasonable size
+    if (deepQuerySelectorAll('iframe, video', container).length > 0) {
+      return { accepted: true, reason: `Matches ${selector} and holds a video or iframe` };
+    }
+
+    const rect = container.getBoundingClientRect();
+    if (rect.width >= 200 && rect.height >= 150) {
+      return { accepted: true, reason: `Matches ${selector} and is player-sized` };
+    }
 
-    return iframes;
+    return { accepted: false, reason: `Matches ${selector} but is empty and too small (${Math.round(rect.width)}\u00d7${Math.round(rect.height)})` };
   }
 
   /**
    * Find video containers that might contain iframes or videos
    */
   function findVideoContainers() {
-    const containers = [];
+    if (!containerSelector) return [];
     
-    VIDEO_CONTAINER_SELECTORS.forEach(selector => {
-      document.querySelectorAll(selector).forEach(container => {
-        // Only include if it has an iframe or video inside, or has reasonable size
-        const hasMedia = container.querySelector('iframe, video');
-        const rect = container.getBoundingClientRect();
-        
-        if (hasMedia || (rect.width >= 200 && rect.height >= 150)) {
-          containers.push(container);
-        }
-      });
-    });
-
-    return containers;
+    return deepQuerySelectorAll(containerSelector).filter(container => classifyContainer(container).accepted);
   }
 
   /**
-   * Calculate element visibility score (size + visibility)
+   * Get the area of an element, or 0 if it isn't visible in the viewport
    */
-  function getElementScore(element) {
+  function getVisibleArea(element) {
     const rect = element.getBoundingClientRect();
-    const area = rect.width * rect.height;
     
     // Check if element is visible
     const isVisible = rect.width > 0 && rect.height > 0 &&
                       rect.top < window.innerHeight && rect.bottom > 0 &&
                       rect.left < window.innerWidth && rect.right > 0;
     
-    if (!isVisible) return 0;
+    return isVisible ? rect.width * rect.height : 0;
+  }
 
-    let score = area;
-    
-    // For video elements, bonus for playing videos
-    if (element.tagName === 'VIDEO') {
-      if (!element.paused && !element.ended) {
-        score *= 2;
-      }
-      if (element.duration > 60) {
-        score *= 1.5;
-      }
+  /**
+   * Get the score bonuses for a video's playback state (playing, long-form)
+   */
+  function getPlaybackFactors(video) {
+    const factors = [];
+    if (!video.paused && !video.ended) {
+      factors.push({ label: 'playing', multiplier: 2 });
     }
-    
-    // For iframes, bonus if it matches video patterns
-    if (element.tagName === 'IFRAME') {
-      if (isVideoIframe(element)) {
-        score *= 1.5;
-      }
+    if (video.duration > 60) {
+      factors.push({ label: 'longer than a minute', multiplier: 1.5 });
     }
+    return factors;
+  }
 
-    return score;
+  /**
+   * Get the combined score bonus for a video's playback state
+   */
+  function getPlaybackMultiplier(video) {
+    return getPlaybackFactors(video).reduce((product, factor) => product * factor.multiplier, 1);
   }
 
   /**
-   * Find the best video element on the page
+   * Get the adapter whose player element is exactly this element
    */
-  function findBestVideo() {
-    const videos = findAllVideos();
-    
-    if (videos.length === 0) {
-      return null;
+  function getAdapterFor(element) {
+    return adapters.find(adapter => element.matches(adapter.target)) || null;
+  }
+
+  /**
+   * Find the known player around an element (or, for containers, inside it), and
+   * the adapter that handles it
+   */
+  function resolveAdapter(element) {
+    for (const adapter of adapters) {
+      const target = closestDeep(element, adapter.target) ||
+        (element.tagName !== 'VIDEO' && deepQuerySelectorAll(adapter.target, element, false)[0]);
+      if (target) return { adapter, target };
     }
+    return null;
+  }
 
-    let bestVideo = null;
-    let bestScore = 0;
+  /**
+   * Break an element's score down into its visible area and the bonuses applied to it
+   */
+  function getScoreBreakdown(element) {
+    const area = getVisibleArea(element);
+    const factors = [];
+    
+    if (area) {
+      // For video elements, bonus for playing videos
+      if (element.tagName === 'VIDEO') {
+        factors.push(...getPlaybackFactors(element));
+      }
+      
+      // For iframes, bonus if it matches video patterns
+      if (element.tagName === 'IFRAME' && isVideoIframe(element)) {
+        factors.push({ label: 'player address', multiplier: 1.5 });
+      }
 
-    videos.forEach(video => {
-      const score = getElementScore(video);
-      if (score > bestScore) {
-        bestScore = score;
-        bestVideo = video;
+      // Known players report their own play state
+      const adapter = element.tagName !== 'VIDEO' && getAdapterFor(element);
+      if (adapter && adapter.isPlaying && adapter.isPlaying(element)) {
+        factors.push({ label: `${adapter.name} playing`, multiplier: 2 });
       }
-    });
+    }
+
+    const score = factors.reduce((product, factor) => product * factor.multiplier, area);
+    return { area, factors, score };
+  }
 
-    return bestVideo;
+  /**
+   * Calculate element visibility score (size + visibility)
+   */
+  function getElementScore(element) {
+    return getScoreBreakdown(element).score;
   }
 
   /**
@@ -261,14 +606,30 @@
     return bestContainer;
   }
 
+  /**
+   * Find the element this site's preferred selector (per-site setting) points at, if it's showing
+   */
+  function findPreferredElement() {
+    if (!siteSettings.preferredSelector || !isValidSelector(siteSettings.preferredSelector)) return null;
+
+    const element = deepQuerySelectorAll(siteSettings.preferredSelector).find(el => getVisibleArea(el) > 0);
+    return element ? { element, type: getElementType(element) } : null;
+  }
+
   /**
    * Find the best playable element (video > iframe > container)
    */
-  function findBestPlayableElement() {
-    // Priority 1: Native video elements
-    const video = findBestVideo();
+  async function findBestPlayableElement() {
+    // The element the user picked for this site wins over the heuristics
+    const preferred = findPreferredElement();
+    if (preferred) {
+      return preferred;
+    }
+
+    // Priority 1: Native video elements, including ones reported by cross-origin frames
+    const video = pickBestCandidate(await collectFrameCandidates());
     if (video) {
-      return { element: video, type: 'video' };
+      return video;
     }
 
     // Priority 2: Video iframes
@@ -286,6 +647,15 @@
     return null;
   }
 
+  /**
+   * Get the pane fullscreen type for an arbitrary element
+   */
+  function getElementType(element) {
+    if (element.tagName === 'VIDEO') return 'video';
+    if (element.tagName === 'IFRAME') return 'iframe';
+    return 'container';
+  }
+
   /**
    * Get all selectable elements (videos, iframes, containers)
    */
@@ -301,7 +671,7 @@
     // Add containers (only if they don't already contain a found iframe)
     findVideoContainers().forEach(c => {
       const hasFoundIframe = elements.some(e => 
-        e.type === 'iframe' && c.contains(e.element)
+        e.type === 'iframe' && containsDeep(c, e.element)
       );
       if (!hasFoundIframe) {
         elements.push({ element: c, type: 'container' });
@@ -312,422 +682,4810 @@
   }
 
   /**
-   * Save the original state of an element
+   * Check if an iframe's document is off limits to this frame (cross-origin)
    */
-  function saveElementState(element) {
-    const state = {
-      element: element,
-      parent: element.parentElement,
-      nextSibling: element.nextSibling,
-      style: element.getAttribute('style') || '',
-      className: element.className,
-      type: element.tagName.toLowerCase()
-    };
-
-    // For videos, save playback state
-    if (element.tagName === 'VIDEO') {
-      state.wasPlaying = !element.paused;
-      state.currentTime = element.currentTime;
+  function isCrossOriginFrame(iframe) {
+    try {
+      return !(iframe.contentDocument || iframe.contentWindow?.document);
+    } catch (e) {
+      return true;
     }
-
-    return state;
   }
 
   /**
-   * Restore element to its original state
+   * Post a relay message to another frame's content script
    */
-  function restoreElementState(element, state) {
-    if (!state || !element) return;
-
-    // Restore original styles
-    element.setAttribute('style', state.style);
-    element.className = state.className;
-    
-    // Remove our custom classes
-    element.classList.remove('pane-fullscreen-video');
-    element.classList.remove('pane-fullscreen-iframe');
-    element.classList.remove('pane-fullscreen-container');
-
-    // Move element back to original position
-    if (state.parent) {
-      if (state.nextSibling) {
-        state.parent.insertBefore(element, state.nextSibling);
-      } else {
-        state.parent.appendChild(element);
-      }
-    }
+  function postToFrame(target, message) {
+    if (!target) return;
+    target.postMessage({ [FRAME_MESSAGE_KEY]: true, ...message }, '*');
   }
 
   /**
-   * Create the play/pause indicator element
+   * Find the iframe element that hosts a given window
    */
-  function createPlayPauseIndicator() {
-    const indicator = document.createElement('div');
-    indicator.className = 'pane-fullscreen-play-indicator';
-    indicator.innerHTML = `
-      <svg class="play-icon" viewBox="0 0 24 24" style="display: none;">
-        <path d="M8 5v14l11-7z"/>
-      </svg>
-      <svg class="pause-icon" viewBox="0 0 24 24" style="display: none;">
-        <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/>
-      </svg>
-    `;
-    return indicator;
+  function findIframeForWindow(source) {
+    return deepQuerySelectorAll('iframe', document, false)
+      .find(iframe => iframe.contentWindow === source) || null;
   }
 
   /**
-   * Show the play/pause indicator briefly
+   * Ask cross-origin child frames to report their video candidates.
+   * Resolves with [{ iframe, videos }] once every frame answered or the timeout passed.
    */
-  function showPlayPauseIndicator(isPlaying) {
-    if (!playIndicator) return;
+  function queryFrameVideos(timeout = FRAME_QUERY_TIMEOUT) {
+    // Frames nested in same-origin frames are queried by that frame's own content script
+    const iframes = deepQuerySelectorAll('iframe', document, false).filter(isCrossOriginFrame);
     
-    const playIcon = playIndicator.querySelector('.play-icon');
-    const pauseIcon = playIndicator.querySelector('.pause-icon');
-    
-    // Show the appropriate icon (play icon when paused, pause icon when playing)
-    if (isPlaying) {
-      playIcon.style.display = 'none';
-      pauseIcon.style.display = 'block';
-    } else {
-      playIcon.style.display = 'block';
-      pauseIcon.style.display = 'none';
+    if (iframes.length === 0) {
+      return Promise.resolve([]);
     }
+
+    const queryId = ++frameQueryId;
     
-    // Show indicator
-    playIndicator.classList.add('show');
-    
-    // Hide after a short delay
-    setTimeout(() => {
-      playIndicator.classList.remove('show');
-    }, 500);
+    return new Promise(resolve => {
+      const query = {
+        reports: [],
+        remaining: iframes.length,
+        finish: () => {
+          if (!frameQueries.has(queryId)) return;
+          frameQueries.delete(queryId);
+          resolve(query.reports);
+        }
+      };
+      frameQueries.set(queryId, query);
+      
+      // Children get less time so their own nested queries finish before ours
+      iframes.forEach(iframe => {
+        relayFrames.add(iframe);
+        postToFrame(iframe.contentWindow, { type: 'query', queryId, timeout: timeout / 2 });
+      });
+      setTimeout(query.finish, timeout);
+    });
   }
 
   /**
-   * Create the fullscreen overlay
+   * Collect the real videos this frame can offer: its own videos plus the ones
+   * reported by cross-origin child frames. Coverage is the share of this frame's
+   * viewport the video occupies, so scores stay comparable across frames.
    */
-  function createOverlay() {
-    // Remove existing overlay if any
-    removeOverlay();
+  async function collectFrameCandidates(timeout = FRAME_QUERY_TIMEOUT) {
+    const viewportArea = window.innerWidth * window.innerHeight;
+    const candidates = [];
 
-    // Create overlay container
-    overlay = document.createElement('div');
-    overlay.id = OVERLAY_ID;
-    overlay.className = 'pane-fullscreen-overlay';
+    findAllVideos().forEach(video => {
+      const area = getVisibleArea(video);
+      if (!area) return;
+      
+      candidates.push({
+        element: video,
+        type: 'video',
+        coverage: Math.min(1, area / viewportArea),
+        multiplier: getPlaybackMultiplier(video)
+      });
+    });
 
-    // Create element container
-    elementContainer = document.createElement('div');
-    elementContainer.id = CONTAINER_ID;
-    elementContainer.className = 'pane-fullscreen-video-container';
+    const reports = await queryFrameVideos(timeout);
+    reports.forEach(({ iframe, videos }) => {
+      const frameCoverage = Math.min(1, getVisibleArea(iframe) / viewportArea);
+      if (!frameCoverage) return;
+      
+      videos.forEach(video => {
+        candidates.push({
+          element: iframe,
+          type: 'iframe',
+          frameVideoIndex: video.index,
+          coverage: frameCoverage * video.coverage,
+          multiplier: video.multiplier
+        });
+      });
+    });
 
-    // Create close button
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'pane-fullscreen-close-btn';
-    closeBtn.innerHTML = `
-      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <line x1="18" y1="6" x2="6" y2="18"/>
-        <line x1="6" y1="6" x2="18" y2="18"/>
-      </svg>
-    `;
-    closeBtn.title = 'Exit Pane Fullscreen (ESC)';
-    closeBtn.addEventListener('click', exitPaneFullscreen);
+    candidates.forEach(candidate => {
+      candidate.score = candidate.coverage * viewportArea * candidate.multiplier;
+    });
 
-    // Create hint text
-    const hint = document.createElement('div');
-    hint.className = 'pane-fullscreen-hint';
-    hint.textContent = 'Press ESC to exit';
+    return candidates;
+  }
 
-    // Show hint briefly then fade out
-    setTimeout(() => {
-      hint.classList.add('fade-out');
-    }, 2000);
+  /**
+   * Pick the highest scoring candidate from a list
+   */
+  function pickBestCandidate(candidates) {
+    let best = null;
 
-    overlay.appendChild(elementContainer);
-    overlay.appendChild(closeBtn);
-    overlay.appendChild(hint);
-    document.body.appendChild(overlay);
+    candidates.forEach(candidate => {
+      if (candidate.score > 0 && (!best || candidate.score > best.score)) {
+        best = candidate;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Answer a parent frame's query with this frame's video candidates
+   */
+  async function reportFrameCandidates(queryId, timeout) {
+    const candidates = await collectFrameCandidates(timeout);
+    
+    postToFrame(window.parent, {
+      type: 'candidates',
+      queryId,
+      videos: candidates.map((candidate, index) => ({
+        index,
+        coverage: candidate.coverage,
+        multiplier: candidate.multiplier
+      }))
+    });
+  }
+
+  /**
+   * Pane-fullscreen a video in this frame at the parent frame's request.
+   * Players often create their video late, so keep looking for a few seconds.
+   */
+  async function enterFromParentFrame(index) {
+    embeddedSession = true;
+
+    for (let attempt = 0; attempt < 12; attempt++) {
+      // The parent may have exited, or a session may already be running
+      if (!embeddedSession || isActive) return;
+      
+      const candidates = await collectFrameCandidates();
+      const candidate = candidates[index] || pickBestCandidate(candidates);
+      
+      if (candidate && embeddedSession && !isActive) {
+        enterPaneFullscreen(candidate.element, candidate.type, {
+          frameVideoIndex: candidate.frameVideoIndex
+        });
+        return;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  /**
+   * Ask an expanded cross-origin iframe to pane-fullscreen its own video
+   */
+  function startFrameSession(iframe, frameVideoIndex) {
+    frameSession = { iframe, frameVideoIndex };
+    postToFrame(iframe.contentWindow, { type: 'enter', index: frameVideoIndex });
+  }
+
+  /**
+   * In a child frame, ask the parent frame to expand this frame around a session
+   * that started here (e.g. from the player's own fullscreen button)
+   */
+  function expandParentFrame() {
+    if (IS_TOP_FRAME || embeddedSession) return;
+    
+    embeddedSession = true;
+    postToFrame(window.parent, { type: 'expand' });
+  }
+
+  /**
+   * Tell the frames on either side of a cross-frame session that it ended
+   */
+  function endFrameSessions() {
+    if (frameSession) {
+      postToFrame(frameSession.iframe.contentWindow, { type: 'exit' });
+      frameSession = null;
+    }
+    
+    if (embeddedSession) {
+      embeddedSession = false;
+      postToFrame(window.parent, { type: 'exited' });
+    }
+  }
+
+  /**
+   * Handle relay messages from parent and child frames
+   */
+  function handleFrameMessage(e) {
+    const data = e.data;
+    if (!data || data[FRAME_MESSAGE_KEY] !== true || !FRAME_MESSAGE_TYPES.includes(data.type)) return;
+
+    // Only the parent frame and child frames this one knows of take part in the relay
+    const fromParent = !IS_TOP_FRAME && e.source === window.parent;
+    const child = !fromParent && findIframeForWindow(e.source);
+    if (child && data.type === 'ready') relayFrames.add(child);
+
+    const fromChild = child && relayFrames.has(child) ? child : null;
+    if (!fromParent && !fromChild) return;
+
+    switch (data.type) {
+      case 'greet':
+        // A parent whose script started after this one's announcement asks again
+        if (fromParent) postToFrame(window.parent, { type: 'ready' });
+        break;
+
+      case 'query':
+        if (fromParent) reportFrameCandidates(data.queryId, data.timeout);
+        break;
+
+      case 'candidates': {
+        const query = frameQueries.get(data.queryId);
+        if (!query || !fromChild) return;
+        
+        query.reports.push({ iframe: fromChild, videos: data.videos || [] });
+        query.remaining--;
+        if (query.remaining === 0) query.finish();
+        break;
+      }
+
+      case 'enter':
+        if (fromParent) enterFromParentFrame(data.index);
+        break;
+
+      case 'fit':
+        if (fromParent && isActive && FIT_ACTIONS[data.action]) FIT_ACTIONS[data.action]();
+        break;
+
+      case 'mini':
+        if (frameSession && fromChild === frameSession.iframe) toggleMiniPane();
+        break;
+
+      case 'sleepTimer':
+        if (fromParent && isActive) cycleSleepTimer();
+        break;
+
+      case 'audio':
+        if (fromParent && isActive) setAudioSettings(data.changes);
+        break;
+
+      case 'watchActivity':
+        if (fromParent) setActivityWatch(!!data.watch);
+        break;
+
+      case 'idle':
+        if (fromParent && activityWatch) document.documentElement.classList.toggle(IDLE_CLASS, !!data.idle);
+        break;
+
+      case 'activity':
+        if (fromChild && idleTracking && idleFrames.includes(fromChild)) {
+          idleHold = false;
+          noteActivity();
+        }
+        break;
+
+      case 'exit':
+        if (fromParent && (isActive || embeddedSession)) {
+          embeddedSession = false;
+          exitPaneFullscreen();
+        }
+        break;
+
+      case 'playing':
+        if (fromChild) considerAutoEnter(fromChild, 'iframe');
+        break;
+
+      case 'stayOut':
+        // ESC pressed in a child frame, which has the focus after its player was clicked
+        if (!fromChild) return;
+        if (autoEnterCountdown) {
+          cancelAutoEnter();
+        } else if (!IS_TOP_FRAME) {
+          postToFrame(window.parent, { type: 'stayOut' });
+        }
+        break;
+
+      case 'expand':
+        if (fromChild && enterPaneFullscreen(fromChild, 'iframe')) {
+          expandParentFrame();
+        }
+        break;
+
+      case 'ready':
+        // Moving an iframe (reparent strategy) reloads it, so repeat the request to the new document
+        if (frameSession && fromChild === frameSession.iframe) {
+          postToFrame(e.source, { type: 'enter', index: frameSession.frameVideoIndex });
+        }
+        break;
+
+      case 'exited':
+        if (frameSession && fromChild === frameSession.iframe) {
+          frameSession = null;
+          exitPaneFullscreen();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Pick how an element is expanded: moved into the overlay ('reparent'), or lifted
+   * where it is ('inplace'). Moving an iframe reloads its document, so iframes and
+   * containers holding one stay in place. Picked elements keep the page styles that
+   * reach them through their ancestors by staying in place too.
+   */
+  function getDefaultStrategy(element, type) {
+    if (type === 'iframe' || type === 'element') return 'inplace';
+    if (type === 'container' && deepQuerySelectorAll('iframe, embed, object', element).length > 0) return 'inplace';
+    return 'reparent';
+  }
+
+  /**
+   * Save the original state of an element
+   */
+  function saveElementState(element, strategy = 'reparent') {
+    const rect = element.getBoundingClientRect();
+    const state = {
+      element: element,
+      parent: element.parentNode, // May be a shadow root
+      nextSibling: element.nextSibling,
+      style: element.getAttribute('style') || '',
+      className: element.getAttribute('class'), // Not className, which SVG elements can't be assigned
+      type: element.tagName.toLowerCase(),
+      strategy,
+      ratio: rect.width > 0 && rect.height > 0 ? rect.width / rect.height : null, // Shape on the page, for fitting
+      slotPath: [], // Original parent and its ancestors, for finding the element's replacement
+      ancestors: [],
+      frames: []
+    };
+
+    for (let node = state.parent; node; node = getParentAcross(node)) {
+      state.slotPath.push(node);
+    }
+
+    // For videos, save playback state
+    if (element.tagName === 'VIDEO') {
+      state.wasPlaying = !element.paused;
+      state.currentTime = element.currentTime;
+    }
+
+    return state;
+  }
+
+  /**
+   * Put back a class attribute saved with getAttribute, removing it if there was none
+   */
+  function restoreClassAttribute(element, className) {
+    if (className === null) {
+      element.removeAttribute('class');
+    } else {
+      element.setAttribute('class', className);
+    }
+  }
+
+  /**
+   * Restore element to its original state. A discarded element (one the page replaced)
+   * or one whose original parent is gone is dropped rather than put back.
+   */
+  function restoreElementState(element, state, options = {}) {
+    if (!state || !element) return;
+
+    // Restore original styles, which also drops the fit layout and picture adjustments
+    element.setAttribute('style', state.style);
+    restoreClassAttribute(element, state.className);
+    
+    // Remove our custom classes
+    element.classList.remove('pane-fullscreen-video');
+    element.classList.remove('pane-fullscreen-iframe');
+    element.classList.remove('pane-fullscreen-container');
+    element.classList.remove('pane-fullscreen-player');
+    element.classList.remove('pane-fullscreen-element');
+    element.classList.remove('pane-fullscreen-inplace');
+
+    // Elements expanded in place never moved; just release their ancestors
+    if (state.strategy === 'inplace') {
+      releaseAncestors(state);
+      return;
+    }
+
+    // The page removed the element's old spot, or already filled it with something new
+    if (options.discard || !state.parent || !state.parent.isConnected) {
+      element.remove();
+      return;
+    }
+
+    // Move element back to original position
+    if (state.nextSibling && state.nextSibling.parentNode === state.parent) {
+      state.parent.insertBefore(element, state.nextSibling);
+    } else {
+      state.parent.appendChild(element);
+    }
+  }
+
+  /**
+   * Give a picked element the background it sits on, so text and charts drawn on a
+   * transparent element stay readable over the dark backdrop
+   */
+  function ensureOpaqueBackground(element) {
+    for (let node = element; node; node = getParentAcross(node)) {
+      const color = getComputedStyle(node).backgroundColor;
+      if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) {
+        if (node !== element) element.style.setProperty('background-color', color, 'important');
+        return;
+      }
+    }
+    element.style.setProperty('background-color', '#fff', 'important');
+  }
+
+  /**
+   * Lift an element above the page without moving it in the DOM. Ancestors that would
+   * trap a fixed-position element (transforms, containment, stacking contexts) are
+   * neutralised for the length of the session.
+   */
+  function expandInPlace(element, state) {
+    for (let node = getParentAcross(element); node; node = getParentAcross(node)) {
+      if (node === node.ownerDocument.body || node === node.ownerDocument.documentElement) break;
+      
+      // Neutralising overflow resets scroll positions, so remember them
+      state.ancestors.push({ element: node, scrollTop: node.scrollTop, scrollLeft: node.scrollLeft });
+      ensureShadowStyles(node);
+      node.classList.add('pane-fullscreen-ancestor');
+    }
+
+    ensureShadowStyles(element);
+    element.classList.add('pane-fullscreen-inplace');
+
+    // An element inside a same-origin frame is lifted within that frame, so lift the frame too
+    const frame = element.ownerDocument !== document && element.ownerDocument.defaultView.frameElement;
+    if (frame) {
+      state.frames.push({ element: frame, className: frame.getAttribute('class') });
+      frame.classList.add('pane-fullscreen-iframe');
+      expandInPlace(frame, state);
+    }
+  }
+
+  /**
+   * Undo the ancestor changes made by expandInPlace
+   */
+  function releaseAncestors(state) {
+    state.ancestors.forEach(({ element, scrollTop, scrollLeft }) => {
+      element.classList.remove('pane-fullscreen-ancestor');
+      element.scrollTop = scrollTop;
+      element.scrollLeft = scrollLeft;
+    });
+    state.frames.forEach(({ element, className }) => restoreClassAttribute(element, className));
+    state.ancestors = [];
+    state.frames = [];
+  }
+
+  /**
+   * Get the largest box of an aspect ratio that fits in a width and height
+   */
+  function fitBox(width, height, ratio) {
+    return width / height > ratio
+      ? { width: height * ratio, height }
+      : { width, height: width / ratio };
+  }
+
+  /**
+   * Get the aspect ratio of what an element shows: a video's own frames, otherwise
+   * the element's shape on the page before it was expanded
+   */
+  function getContentRatio(element, state) {
+    if (element.tagName === 'VIDEO' && element.videoWidth && element.videoHeight) {
+      return element.videoWidth / element.videoHeight;
+    }
+    if (element.tagName === 'CANVAS' && element.width && element.height) {
+      return element.width / element.height;
+    }
+    if (element.tagName === 'IMG' && element.naturalWidth && element.naturalHeight) {
+      return element.naturalWidth / element.naturalHeight;
+    }
+    return state.ratio || 16 / 9;
+  }
+
+  /**
+   * Get the viewport area an element is fitted into: the overlay's element container
+   * without its padding, or the whole viewport of the same-origin frame it lives in
+   */
+  function getPaneRect(element) {
+    if (element.ownerDocument !== document) {
+      const view = element.ownerDocument.defaultView;
+      return { left: 0, top: 0, width: view.innerWidth, height: view.innerHeight };
+    }
+
+    const rect = elementContainer.getBoundingClientRect();
+    const style = getComputedStyle(elementContainer);
+    const padding = {
+      top: parseFloat(style.paddingTop) || 0,
+      right: parseFloat(style.paddingRight) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0,
+      left: parseFloat(style.paddingLeft) || 0
+    };
+
+    return {
+      left: rect.left + padding.left,
+      top: rect.top + padding.top,
+      width: rect.width - padding.left - padding.right,
+      height: rect.height - padding.top - padding.bottom
+    };
+  }
+
+  /**
+   * Work out where an element goes in the pane for a fit mode. The element is sized to
+   * its content's aspect ratio, then scaled with a transform and clipped to the visible
+   * frame; that is how cover, the forced ratios and zoom crop the picture.
+   */
+  function computeFitLayout(pane, ratio, mode, zoom = 1, pan = { x: 0, y: 0 }) {
+    const box = fitBox(pane.width, pane.height, ratio);
+    let frame = { width: pane.width, height: pane.height };
+    let scaleX = 1;
+    let scaleY = 1;
+
+    if (mode === 'cover') {
+      scaleX = scaleY = Math.max(pane.width / box.width, pane.height / box.height);
+    } else if (mode === 'stretch') {
+      scaleX = pane.width / box.width;
+      scaleY = pane.height / box.height;
+    } else if (mode === 'zoom') {
+      scaleX = scaleY = zoom;
+      frame = {
+        width: Math.min(box.width * zoom, pane.width),
+        height: Math.min(box.height * zoom, pane.height)
+      };
+    } else if (FORCED_RATIOS[mode]) {
+      frame = fitBox(pane.width, pane.height, FORCED_RATIOS[mode]);
+      scaleX = scaleY = Math.max(frame.width / box.width, frame.height / box.height);
+    } else {
+      frame = box;
+    }
+
+    // Panning never pulls the picture's edge into the frame
+    const maxPanX = Math.max(0, (box.width * scaleX - frame.width) / 2);
+    const maxPanY = Math.max(0, (box.height * scaleY - frame.height) / 2);
+    const panX = Math.min(Math.max(pan.x, -maxPanX), maxPanX);
+    const panY = Math.min(Math.max(pan.y, -maxPanY), maxPanY);
+
+    const centerX = pane.left + pane.width / 2;
+    const centerY = pane.top + pane.height / 2;
+
+    return {
+      left: centerX - box.width / 2,
+      top: centerY - box.height / 2,
+      width: box.width,
+      height: box.height,
+      scaleX,
+      scaleY,
+      panX,
+      panY,
+      // The frame's edges in the element's own, unscaled coordinates
+      clip: {
+        top: Math.max(0, box.height / 2 - (frame.height / 2 + panY) / scaleY),
+        right: Math.max(0, box.width / 2 - (frame.width / 2 - panX) / scaleX),
+        bottom: Math.max(0, box.height / 2 - (frame.height / 2 - panY) / scaleY),
+        left: Math.max(0, box.width / 2 - (frame.width / 2 + panX) / scaleX)
+      },
+      frame: {
+        left: centerX - frame.width / 2,
+        top: centerY - frame.height / 2,
+        width: frame.width,
+        height: frame.height
+      }
+    };
+  }
+
+  /**
+   * Turn a vector by a multiple of 90°
+   */
+  function rotateVector(vector, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+    return { x: vector.x * cos - vector.y * sin, y: vector.x * sin + vector.y * cos };
+  }
+
+  /**
+   * Work out the current element's layout with its rotation and mirroring. A quarter
+   * turn fits the picture into the pane turned on its side, so a rotated 16:9 video
+   * still fits. Pan offsets stay in screen axes and are turned into the element's own
+   * axes and back. Without a ratio, the element fills the (turned) pane.
+   */
+  function computeAdjustedLayout(pane, ratio, mode, zoom = 1, pan = { x: 0, y: 0 }) {
+    const { rotate, flipX, flipY } = adjustments;
+    const quarterTurn = rotate % 180 !== 0;
+    const turnedPane = quarterTurn
+      ? {
+          left: pane.left + (pane.width - pane.height) / 2,
+          top: pane.top + (pane.height - pane.width) / 2,
+          width: pane.height,
+          height: pane.width
+        }
+      : pane;
+    const signX = flipX ? -1 : 1;
+    const signY = flipY ? -1 : 1;
+
+    const localPan = rotateVector(pan, -rotate);
+    const layout = computeFitLayout(turnedPane, ratio || turnedPane.width / turnedPane.height, mode, zoom, {
+      x: localPan.x * signX,
+      y: localPan.y * signY
+    });
+
+    const screenPan = rotateVector({ x: layout.panX * signX, y: layout.panY * signY }, rotate);
+    layout.panX = screenPan.x;
+    layout.panY = screenPan.y;
+    layout.rotate = rotate;
+    layout.scaleX *= signX;
+    layout.scaleY *= signY;
+
+    if (quarterTurn) {
+      const { frame } = layout;
+      layout.frame = {
+        left: frame.left + (frame.width - frame.height) / 2,
+        top: frame.top + (frame.height - frame.width) / 2,
+        width: frame.height,
+        height: frame.width
+      };
+    }
+    return layout;
+  }
+
+  /**
+   * Position, scale and clip an element as computed by computeFitLayout
+   */
+  function applyLayout(element, layout) {
+    const { clip } = layout;
+    const clipped = Math.max(clip.top, clip.right, clip.bottom, clip.left) > 0.5;
+    const styles = {
+      position: 'fixed',
+      left: `${layout.left}px`,
+      top: `${layout.top}px`,
+      width: `${layout.width}px`,
+      height: `${layout.height}px`,
+      'max-width': 'none',
+      'max-height': 'none',
+      margin: '0',
+      'box-sizing': 'border-box',
+      transform: `translate(${layout.panX}px, ${layout.panY}px) rotate(${layout.rotate || 0}deg) scale(${layout.scaleX}, ${layout.scaleY})`,
+      'transform-origin': 'center center',
+      'clip-path': clipped
+        ? `inset(${clip.top}px ${clip.right}px ${clip.bottom}px ${clip.left}px)`
+        : 'none'
+    };
+
+    Object.keys(styles).forEach(property => {
+      element.style.setProperty(property, styles[property], 'important');
+    });
+  }
+
+  /**
+   * Take the fit layout and picture adjustments applyLayout and applyAdjustmentFilter
+   * put on an element back off
+   */
+  function clearLayout(element) {
+    LAYOUT_STYLE_PROPERTIES.forEach(property => element.style.removeProperty(property));
+  }
+
+  /**
+   * Fit the current element into the pane. Runs again whenever the pane, the video's
+   * dimensions or the fit mode change, except while the element is in real fullscreen.
+   */
+  function layoutTarget() {
+    if (!currentElement || !elementContainer || inRealFullscreen) return;
+
+    const area = getPaneRect(currentElement);
+    if (area.width <= 0 || area.height <= 0) return;
+
+    const slots = getPaneSlots(area);
+    const pane = slots[0];
+
+    // A cross-origin player fits its own video, so its frame simply fills the pane
+    const layout = frameSession
+      ? computeAdjustedLayout(pane, null, 'contain')
+      : computeAdjustedLayout(pane, getContentRatio(currentElement, originalElementState), fitMode, zoomLevel, panOffset);
+
+    const previousSize = `${currentElement.style.width} ${currentElement.style.height}`;
+    applyLayout(currentElement, layout);
+    applyAdjustmentFilter();
+    panOffset = { x: layout.panX, y: layout.panY };
+
+    let resized = previousSize !== `${currentElement.style.width} ${currentElement.style.height}` &&
+      (currentAdapter || originalElementState.hasCanvas);
+    if (resized) resizePaneCanvases(originalElementState);
+
+    // Extra panes share the fit mode; zoom and pan belong to the first pane alone
+    extraPanes.forEach((extra, index) => {
+      const before = `${extra.element.style.width} ${extra.element.style.height}`;
+      const mode = fitMode === 'zoom' ? 'contain' : fitMode;
+      applyLayout(extra.element, computeFitLayout(slots[index + 1], getContentRatio(extra.element, extra.state), mode));
+      if ((extra.adapter || extra.state.hasCanvas) && before !== `${extra.element.style.width} ${extra.element.style.height}`) {
+        resizePaneCanvases(extra.state);
+        resized = true;
+      }
+    });
+
+    if (resized) notifyPlayerResize();
+    updatePanSurface(layout);
+    positionPaneChrome(area, slots);
+  }
+
+  /**
+   * Adapter players and canvas renderers size themselves on window resize, so give
+   * them one whenever the expanded element's box changes
+   */
+  function notifyPlayerResize() {
+    window.dispatchEvent(new Event('resize'));
+  }
+
+  /**
+   * Note the canvases in a pane element with their own width and height attributes,
+   * which set the size of the picture they draw
+   */
+  function saveCanvasState(element, state) {
+    const canvases = element.tagName === 'CANVAS' ? [element] : deepQuerySelectorAll('canvas', element, false);
+    state.canvases = canvases.map(canvas => ({
+      canvas,
+      width: canvas.getAttribute('width'),
+      height: canvas.getAttribute('height'),
+      resized: false
+    }));
+    state.hasCanvas = state.canvases.length > 0;
+  }
+
+  /**
+   * Give a pane's canvases a drawing size to match their box in the pane, so they
+   * aren't stretched by CSS. Renderers that size themselves on resize set it again.
+   */
+  function resizePaneCanvases(state) {
+    if (!state.canvases) return;
+
+    const scale = window.devicePixelRatio || 1;
+    state.canvases.forEach(entry => {
+      const { canvas } = entry;
+      const width = Math.round(canvas.offsetWidth * scale);
+      const height = Math.round(canvas.offsetHeight * scale);
+      // Setting a size clears the canvas, so only a different size is set
+      if (width <= 0 || height <= 0 || (canvas.width === width && canvas.height === height)) return;
+
+      canvas.width = width;
+      canvas.height = height;
+      entry.resized = true;
+    });
+  }
+
+  /**
+   * Put back the drawing size of the canvases the pane resized
+   */
+  function restoreCanvasSizes(state) {
+    if (!state || !state.canvases) return;
+
+    state.canvases.forEach(({ canvas, width, height, resized }) => {
+      if (!resized) return;
+      Object.entries({ width, height }).forEach(([name, value]) => {
+        if (value === null) {
+          canvas.removeAttribute(name);
+        } else {
+          canvas.setAttribute(name, value);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check if a point is over the current adapter player's own controls
+   */
+  function isOverPlayerControls(x, y) {
+    if (!currentAdapter || !currentAdapter.controls) return false;
+
+    return document.elementsFromPoint(x, y).some(element =>
+      element !== panSurface && element.closest(currentAdapter.controls)
+    );
+  }
+
+  /**
+   * Cover the visible part of a zoomed element with a surface that can be dragged
+   * to pan and scrolled to zoom. The bottom strip is left free for native controls.
+   */
+  function updatePanSurface(layout) {
+    if (!panSurface) return;
+
+    const enabled = fitMode === 'zoom' && !frameSession && currentElement.ownerDocument === document;
+    panSurface.hidden = !enabled;
+    if (!enabled) return;
+
+    const controlsHeight = currentElement.tagName === 'VIDEO' ? 50 : 0;
+    panSurface.style.left = `${layout.frame.left}px`;
+    panSurface.style.top = `${layout.frame.top}px`;
+    panSurface.style.width = `${layout.frame.width}px`;
+    panSurface.style.height = `${Math.max(0, layout.frame.height - controlsHeight)}px`;
+  }
+
+  /**
+   * Create the surface used to pan and zoom in zoom mode. A click without dragging
+   * still toggles playback, like clicking the video itself.
+   */
+  function createPanSurface() {
+    const surface = document.createElement('div');
+    surface.className = 'pane-fullscreen-pan-surface';
+    surface.hidden = true;
+
+    let drag = null;
+
+    surface.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      
+      drag = { x: e.clientX, y: e.clientY, pan: { ...panOffset }, moved: false };
+      surface.setPointerCapture(e.pointerId);
+      surface.classList.add('dragging');
+    });
+
+    surface.addEventListener('pointermove', (e) => {
+      // Step aside over an adapter player's controls so they stay usable while zoomed
+      if (!drag && isOverPlayerControls(e.clientX, e.clientY)) {
+        surface.classList.add('pass-through');
+        document.addEventListener('pointermove', function restore(move) {
+          if (isOverPlayerControls(move.clientX, move.clientY)) return;
+          surface.classList.remove('pass-through');
+          document.removeEventListener('pointermove', restore, true);
+        }, true);
+        return;
+      }
+
+      if (!drag) return;
+
+      const dx = e.clientX - drag.x;
+      const dy = e.clientY - drag.y;
+      if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+      
+      panOffset = { x: drag.pan.x + dx, y: drag.pan.y + dy };
+      layoutTarget();
+    });
+
+    surface.addEventListener('pointerup', () => {
+      if (!drag) return;
+
+      const media = !drag.moved && getActiveMedia();
+      drag = null;
+      surface.classList.remove('dragging');
+      if (media) togglePlayback(media);
+    });
+
+    surface.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      changeZoom(e.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP);
+    }, { passive: false });
+
+    // Double-click re-centres the picture
+    surface.addEventListener('dblclick', () => {
+      panOffset = { x: 0, y: 0 };
+      layoutTarget();
+    });
+
+    return surface;
+  }
+
+  /**
+   * Switch fit mode and remember it for this site
+   */
+  function setFitMode(mode) {
+    if (mode === 'zoom' && fitMode !== 'zoom') {
+      zoomLevel = DEFAULT_ZOOM;
+    }
+    fitMode = mode;
+    panOffset = { x: 0, y: 0 };
+    layoutTarget();
+
+    PaneFullscreenSettings.updateSiteSettings(getSiteHostname(), { fitMode: mode }).catch(() => {});
+  }
+
+  /**
+   * Move on to the next fit mode
+   */
+  function cycleFitMode() {
+    const modes = PaneFullscreenSettings.FIT_MODES;
+    const mode = modes[(modes.indexOf(fitMode) + 1) % modes.length];
+    setFitMode(mode);
+    showHint(mode === 'zoom'
+      ? `Zoom ${Math.round(zoomLevel * 100)}% · drag to pan`
+      : `Fit: ${PaneFullscreenSettings.FIT_MODE_LABELS[mode]}`);
+  }
+
+  /**
+   * Zoom in or out, switching to zoom mode first if needed
+   */
+  function changeZoom(delta) {
+    if (fitMode !== 'zoom') {
+      setFitMode('zoom');
+      zoomLevel = MIN_ZOOM;
+    }
+
+    zoomLevel = Math.round(Math.min(Math.max(zoomLevel + delta, MIN_ZOOM), MAX_ZOOM) * 100) / 100;
+    layoutTarget();
+    showHint(`Zoom ${Math.round(zoomLevel * 100)}%`);
+  }
+
+  // Fit actions, keyed by binding name (see settings.js)
+  const FIT_ACTIONS = {
+    cycleFitMode: () => cycleFitMode(),
+    zoomIn: () => changeZoom(ZOOM_STEP),
+    zoomOut: () => changeZoom(-ZOOM_STEP)
+  };
+
+  /**
+   * Run a fit action here, or in the cross-origin player frame that fits its own video
+   */
+  function runFitAction(action) {
+    if (frameSession) {
+      postToFrame(frameSession.iframe.contentWindow, { type: 'fit', action });
+      return;
+    }
+    FIT_ACTIONS[action]();
+  }
+
+  /**
+   * Create the on-screen display used for play/pause, seeking, volume and speed
+   */
+  function createIndicator() {
+    const element = document.createElement('div');
+    element.className = 'pane-fullscreen-indicator';
+    element.innerHTML = `
+      <svg viewBox="0 0 24 24"><path/></svg>
+      <span class="pane-fullscreen-indicator-text"></span>
+    `;
+    return element;
+  }
+
+  /**
+   * Show the on-screen display briefly with an icon and optional text
+   */
+  function showIndicator(icon, text = '') {
+    if (!indicator) return;
+    
+    indicator.querySelector('path').setAttribute('d', ICONS[icon]);
+    indicator.querySelector('.pane-fullscreen-indicator-text').textContent = text;
+    indicator.classList.toggle('has-text', !!text);
+    
+    // Show indicator
+    indicator.classList.add('show');
+    
+    // Hide after a short delay, restarting it if the display is updated again
+    clearTimeout(indicatorTimeout);
+    indicatorTimeout = setTimeout(() => {
+      indicator?.classList.remove('show');
+    }, text ? 800 : 500);
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   */
+  function formatTime(seconds) {
+    if (!isFinite(seconds)) return 'Live';
+    
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Check if media is playing, asking the adapter player that contains it when there is one
+   */
+  function isMediaPlaying(media) {
+    if (currentAdapter && currentAdapter.isPlaying && media !== currentElement) {
+      return currentAdapter.isPlaying(currentElement);
+    }
+    return !media.paused;
+  }
+
+  /**
+   * Check if the current adapter player is showing an ad
+   */
+  function isShowingAd() {
+    return !!(currentAdapter && currentAdapter.isAd && currentAdapter.isAd(currentElement));
+  }
+
+  /**
+   * Toggle playback and show the matching indicator
+   */
+  function togglePlayback(media) {
+    if (!isMediaPlaying(media)) {
+      media.play().catch(() => {});
+      showIndicator('pause');
+    } else {
+      // Pause the video
+      media.pause();
+      showIndicator('play');
+      
+      // Re-enforce pause after delays to combat auto-resume
+      // Some players try to resume after a short delay
+      [50, 150, 300].forEach(delay => {
+        setTimeout(() => {
+          if (!media.paused) media.pause();
+        }, delay);
+      });
+    }
+  }
+
+  /**
+   * Seek relative to the current position
+   */
+  function seekBy(media, seconds) {
+    const end = isFinite(media.duration) ? media.duration : Infinity;
+    media.currentTime = Math.min(Math.max(media.currentTime + seconds, 0), end);
+    showIndicator(seconds < 0 ? 'rewind' : 'forward', `${formatTime(media.currentTime)} / ${formatTime(media.duration)}`);
+  }
+
+  /**
+   * Change the volume, unmuting when turning it up
+   */
+  function changeVolume(media, delta) {
+    media.volume = Math.round(Math.min(Math.max(media.volume + delta, 0), 1) * 100) / 100;
+    if (delta > 0) media.muted = false;
+    showVolumeIndicator(media);
+  }
+
+  /**
+   * Show the current volume or mute state
+   */
+  function showVolumeIndicator(media) {
+    if (media.muted || media.volume === 0) {
+      showIndicator('mute', 'Muted');
+    } else {
+      showIndicator('volume', `Volume ${Math.round(media.volume * 100)}%`);
+    }
+  }
+
+  /**
+   * Change the playback speed
+   */
+  function changeSpeed(media, delta) {
+    media.playbackRate = Math.min(Math.max(media.playbackRate + delta, MIN_SPEED), MAX_SPEED);
+    showIndicator('speed', `${media.playbackRate}\u00d7`);
+  }
+
+  /**
+   * Toggle real fullscreen for the current element; leaving it returns to the pane.
+   * An element inside a same-origin frame goes fullscreen in that frame's document.
+   */
+  function toggleRealFullscreen() {
+    const element = currentElement;
+    const targetDocument = element.ownerDocument;
+
+    if (targetDocument.fullscreenElement) {
+      targetDocument.exitFullscreen().catch(() => {});
+      return;
+    }
+
+    // The pane's fit would crop or offset the picture, so it comes off until the way back
+    const handleChange = () => {
+      if (targetDocument.fullscreenElement) return;
+
+      targetDocument.removeEventListener('fullscreenchange', handleChange);
+      inRealFullscreen = false;
+      if (element === currentElement) layoutTarget();
+    };
+
+    inRealFullscreen = true;
+    clearLayout(element);
+    targetDocument.addEventListener('fullscreenchange', handleChange);
+    element.requestFullscreen().catch(handleChange);
+  }
+
+  // Keyboard actions for media targets, keyed by binding name (see settings.js)
+  const PLAYBACK_ACTIONS = {
+    togglePlay: media => togglePlayback(media),
+    seekBackward: media => seekBy(media, -SEEK_STEP),
+    seekForward: media => seekBy(media, SEEK_STEP),
+    seekBackwardLong: media => seekBy(media, -SEEK_STEP_LONG),
+    seekForwardLong: media => seekBy(media, SEEK_STEP_LONG),
+    volumeUp: media => changeVolume(media, VOLUME_STEP),
+    volumeDown: media => changeVolume(media, -VOLUME_STEP),
+    toggleMute: media => {
+      media.muted = !media.muted;
+      showVolumeIndicator(media);
+    },
+    slower: media => changeSpeed(media, -SPEED_STEP),
+    faster: media => changeSpeed(media, SPEED_STEP),
+    realFullscreen: () => toggleRealFullscreen()
+  };
+
+  // Playback actions that seek
+  const SEEK_ACTIONS = ['seekBackward', 'seekForward', 'seekBackwardLong', 'seekForwardLong'];
+
+  /**
+   * Get the media element keyboard controls act on, if any: the one in the pane
+   * chosen for sound
+   */
+  function getActiveMedia() {
+    const element = getPaneElements()[audioPane];
+    if (!element || element.tagName === 'IFRAME') return null;
+    if (element.tagName === 'VIDEO') return element;
+
+    // Players and containers are controlled through their main video
+    const videos = deepQuerySelectorAll('video', element);
+    videos.sort((a, b) => getElementScore(b) - getElementScore(a));
+    return videos[0] || null;
+  }
+
+  /**
+   * Find the action bound to a key
+   */
+  function getBoundAction(key) {
+    return Object.keys(keyBindings).find(action => keyBindings[action].includes(key)) || null;
+  }
+
+  /**
+   * Check if a key event comes from somewhere the user is typing
+   */
+  function isTypingTarget(e) {
+    const target = e.composedPath()[0];
+    if (!(target instanceof Element)) return false;
+    
+    return target.isContentEditable ||
+           ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  // Keyboard actions that work for every kind of target
+  const OVERLAY_ACTIONS = {
+    previousCandidate: () => cycleCandidate(-1),
+    nextCandidate: () => cycleCandidate(1),
+    cycleFitMode: () => runFitAction('cycleFitMode'),
+    zoomIn: () => runFitAction('zoomIn'),
+    zoomOut: () => runFitAction('zoomOut'),
+    addPane: () => togglePaneMenu(),
+    cycleLayout: () => cyclePaneLayout(),
+    toggleMiniPane: () => toggleMiniPane(),
+    pictureInPicture: () => togglePictureInPicture(),
+    sleepTimer: () => cycleSleepTimer(),
+    adjustments: () => toggleAdjustPanel(),
+    audioBoost: () => cycleAudioBoost(),
+    audioPanel: () => toggleAudioPanel()
+  };
+
+  /**
+   * Run the overlay or playback action for a key press. Returns true if the key was handled.
+   */
+  function handleActionKey(e) {
+    const key = PaneFullscreenSettings.normalizeKey(e);
+    const action = getBoundAction(key);
+
+    if (action && OVERLAY_ACTIONS[action]) {
+      OVERLAY_ACTIONS[action]();
+      return true;
+    }
+
+    const media = getActiveMedia();
+    if (!media) return false;
+
+    // Seeking an ad only fights the player
+    if (isShowingAd() && (/^[0-9]$/.test(key) || SEEK_ACTIONS.includes(action))) {
+      showHint(`${currentAdapter.name} is showing an ad`);
+      return true;
+    }
+
+    // 0-9 jump to that tenth of the video
+    if (/^[0-9]$/.test(key)) {
+      if (!isFinite(media.duration)) return false;
+      
+      media.currentTime = media.duration * Number(key) / 10;
+      showIndicator('forward', `${formatTime(media.currentTime)} / ${formatTime(media.duration)}`);
+      return true;
+    }
+
+    if (!action || !PLAYBACK_ACTIONS[action]) return false;
+    
+    PLAYBACK_ACTIONS[action](media);
+    return true;
+  }
+
+  /**
+   * Create a round overlay button for the toolbar
+   */
+  function createToolbarButton(title, iconPath, onClick) {
+    const button = document.createElement('button');
+    button.className = 'pane-fullscreen-toolbar-btn';
+    button.title = title;
+    button.innerHTML = `<svg viewBox="0 0 24 24"><path d="${iconPath}"/></svg>`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Create the fullscreen overlay
+   */
+  function createOverlay() {
+    // Remove existing overlay if any
+    removeOverlay();
+
+    // Create overlay container
+    overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+    overlay.className = 'pane-fullscreen-overlay';
+
+    // Create element container
+    elementContainer = document.createElement('div');
+    elementContainer.id = CONTAINER_ID;
+    elementContainer.className = 'pane-fullscreen-video-container';
+
+    // Create close button
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'pane-fullscreen-close-btn';
+    closeBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <line x1="18" y1="6" x2="6" y2="18"/>
+        <line x1="6" y1="6" x2="18" y2="18"/>
+      </svg>
+    `;
+    closeBtn.title = 'Exit Pane Fullscreen (ESC)';
+    closeBtn.addEventListener('click', exitPaneFullscreen);
+
+    // Create toolbar for overlay controls
+    toolbar = document.createElement('div');
+    toolbar.className = 'pane-fullscreen-toolbar';
+    
+    const previousBtn = createToolbarButton('Previous video ([)', ICONS.previous, () => cycleCandidate(-1));
+    const nextBtn = createToolbarButton('Next video (])', ICONS.next, () => cycleCandidate(1));
+    previousBtn.classList.add('pane-fullscreen-candidate-btn');
+    nextBtn.classList.add('pane-fullscreen-candidate-btn');
+    toolbar.appendChild(previousBtn);
+    toolbar.appendChild(nextBtn);
+    toolbar.appendChild(createToolbarButton('Change fit (A)', ICONS.fit, () => runFitAction('cycleFitMode')));
+
+    const addPaneBtn = createToolbarButton('Add a pane (N)', ICONS.addPane, togglePaneMenu);
+    const layoutBtn = createToolbarButton('Change layout (G)', ICONS.layout, cyclePaneLayout);
+    addPaneBtn.classList.add('pane-fullscreen-candidate-btn');
+    layoutBtn.classList.add('pane-fullscreen-layout-btn');
+    layoutBtn.hidden = true;
+    toolbar.appendChild(addPaneBtn);
+    toolbar.appendChild(layoutBtn);
+    toolbar.appendChild(createToolbarButton('Mini pane (I)', ICONS.mini, toggleMiniPane));
+    toolbar.appendChild(createToolbarButton('Picture-in-Picture (P)', ICONS.pip, togglePictureInPicture));
+
+    toolbar.appendChild(createToolbarButton('Adjustments (E)', ICONS.adjust, toggleAdjustPanel));
+    toolbar.appendChild(createToolbarButton('Sound (U)', ICONS.sound, toggleAudioPanel));
+
+    const sleepBtn = createToolbarButton('Sleep timer (T)', ICONS.sleep, cycleSleepTimer);
+    sleepBtn.classList.add('pane-fullscreen-sleep-btn');
+    toolbar.appendChild(sleepBtn);
+
+    const autoEnterBtn = createToolbarButton('Stop entering automatically on this site', ICONS.autoEnterOff, turnOffAutoEnter);
+    autoEnterBtn.classList.add('pane-fullscreen-auto-enter-btn');
+    autoEnterBtn.hidden = !siteSettings.autoEnterOnPlay;
+    toolbar.appendChild(autoEnterBtn);
+
+    // Create pan surface for zoom mode
+    panSurface = createPanSurface();
+
+    // Create on-screen display
+    indicator = createIndicator();
+    elementContainer.appendChild(indicator);
+
+    // Create hint text
+    hint = document.createElement('div');
+    hint.className = 'pane-fullscreen-hint';
+
+    overlay.appendChild(elementContainer);
+    overlay.appendChild(panSurface);
+    overlay.appendChild(toolbar);
+    overlay.appendChild(closeBtn);
+    overlay.appendChild(hint);
+    document.body.appendChild(overlay);
+
+    // Refit the element whenever the pane changes size
+    paneResizeObserver = new ResizeObserver(() => layoutTarget());
+    paneResizeObserver.observe(elementContainer);
+
+    // Show hint briefly then fade out
+    showHint('Press ESC to exit');
+
+    return { overlay, elementContainer };
+  }
+
+  /**
+   * Show a short message in the hint area, then fade it out
+   */
+  function showHint(text, duration = 2000) {
+    if (!hint) return;
+
+    hint.textContent = text;
+    hint.classList.remove('fade-out');
+    
+    clearTimeout(hintTimeout);
+    hintTimeout = setTimeout(() => {
+      hint?.classList.add('fade-out');
+    }, duration);
+  }
+
+  /**
+   * Switch the overlay between moved elements and elements expanded in place.
+   * In-place elements sit between a separate backdrop and the overlay's controls,
+   * which is needed as soon as any pane holds one.
+   */
+  function setOverlayStrategy(strategy) {
+    const inPlace = strategy === 'inplace' || extraPanes.some(pane => pane.state.strategy === 'inplace');
+    overlay.classList.toggle('pane-fullscreen-overlay-inplace', inPlace);
+
+    if (inPlace && !backdrop) {
+      backdrop = document.createElement('div');
+      backdrop.id = BACKDROP_ID;
+      backdrop.className = 'pane-fullscreen-backdrop';
+      backdrop.classList.toggle('active', overlay.classList.contains('active'));
+      document.body.insertBefore(backdrop, overlay);
+      if (miniPane) applyMiniRect(miniRect);
+    } else if (!inPlace && backdrop) {
+      backdrop.remove();
+      backdrop = null;
+    }
+  }
+
+  /**
+   * Remove the overlay and clean up
+   */
+  function removeOverlay() {
+    const existingOverlay = document.getElementById(OVERLAY_ID);
+    if (existingOverlay) {
+      existingOverlay.remove();
+    }
+    const existingBackdrop = document.getElementById(BACKDROP_ID);
+    if (existingBackdrop) {
+      existingBackdrop.remove();
+    }
+    clearTimeout(hintTimeout);
+    closeResumePrompt();
+    if (paneResizeObserver) {
+      paneResizeObserver.disconnect();
+      paneResizeObserver = null;
+    }
+    overlay = null;
+    backdrop = null;
+    elementContainer = null;
+    toolbar = null;
+    indicator = null;
+    hint = null;
+    panSurface = null;
+    paneChrome = null;
+    paneMenu = null;
+    adjustPanel = null;
+    audioPanel = null;
+    miniPane = false;
+    miniBar = null;
+    miniGrip = null;
+    window.removeEventListener('resize', handleMiniWindowResize);
+  }
+
+  /**
+   * Rank every selectable element on the page so the user can cycle through them.
+   * Sizes are measured now, before the chosen element is moved.
+   */
+  function buildCandidateList(element, type) {
+    const list = getAllSelectableElements().map(candidate => {
+      const rect = candidate.element.getBoundingClientRect();
+      return {
+        ...candidate,
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        score: getElementScore(candidate.element)
+      };
+    });
+
+    list.sort((a, b) => b.score - a.score);
+
+    // Elements chosen some other way (e.g. a player's fullscreen button) lead the list
+    if (!list.some(candidate => candidate.element === element)) {
+      const rect = element.getBoundingClientRect();
+      list.unshift({ element, type, width: Math.round(rect.width), height: Math.round(rect.height), score: 0 });
+    }
+
+    return list;
+  }
+
+  /**
+   * Describe a candidate for the hint label, e.g. "Video · 1280×720 · 2 of 5"
+   */
+  function describeCandidate(candidate, index) {
+    return `${TYPE_LABELS[candidate.type]} \u00b7 ${candidate.width}\u00d7${candidate.height} \u00b7 ${index + 1} of ${candidates.length}`;
+  }
+
+  /**
+   * Show the previous/next buttons only when there is something to cycle to
+   */
+  function updateCandidateButtons() {
+    if (!toolbar) return;
+    
+    toolbar.querySelectorAll('.pane-fullscreen-candidate-btn').forEach(button => {
+      button.hidden = candidates.length < 2;
+    });
+  }
+
+  /**
+   * Put an element into the overlay: save its state, style it and move or lift it
+   */
+  function attachTarget(element, type, options = {}) {
+    const target = resolvePaneTarget(element, type, options.strategy);
+    const strategy = target.strategy;
+    element = target.element;
+    type = target.type;
+    currentAdapter = target.adapter;
+
+    // Save original state
+    originalElementState = saveElementState(element, strategy);
+    originalElementState.paneType = type;
+    currentElement = element;
+
+    // Anything selectable now is not a replacement for this element later
+    originalElementState.knownElements = new WeakSet(getAllSelectableElements().map(candidate => candidate.element));
+
+    // Canvas renderers draw at a size of their own, so they're resized with the pane
+    saveCanvasState(element, originalElementState);
+
+    setOverlayStrategy(strategy);
+    placePaneElement(element, type, currentAdapter, originalElementState);
+
+    // Cross-origin players pane-fullscreen their own video inside the expanded frame
+    if (type === 'iframe' && isCrossOriginFrame(element)) {
+      startFrameSession(element, options.frameVideoIndex);
+    }
+
+    // For videos, ensure it keeps playing and add controls
+    if (type === 'video') {
+      // Save original controls state and enable native controls
+      originalElementState.hadControls = element.hasAttribute('controls');
+      element.setAttribute('controls', '');
+      
+      // Resume playback if it was playing
+      if (originalElementState.wasPlaying) {
+        element.play().catch(() => {});
+      }
+      
+      // Add click-to-pause functionality with debounce and re-enforce logic
+      let lastClickTime = 0;
+      const debounceMs = 300; // Ignore clicks within 300ms of each other
+      
+      videoClickHandler = (e) => {
+        // Don't toggle if clicking on controls (bottom 50px of video)
+        const rect = element.getBoundingClientRect();
+        const clickY = e.clientY - rect.top;
+        const controlsHeight = 50;
+        
+        if (clickY > rect.height - controlsHeight) {
+          return; // Let native controls handle the click
+        }
+        
+        // Debounce: ignore rapid clicks
+        const now = Date.now();
+        if (now - lastClickTime < debounceMs) {
+          e.stopPropagation();
+          e.stopImmediatePropagation();
+          e.preventDefault();
+          return;
+        }
+        lastClickTime = now;
+        
+        // Stop event from reaching other handlers (e.g., Twitter's player)
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        e.preventDefault();
+        
+        togglePlayback(element);
+      };
+      // Use capture phase to intercept before other handlers
+      element.addEventListener('click', videoClickHandler, { capture: true });
+
+      // The video's real dimensions may only be known once its metadata loads
+      videoResizeHandler = () => layoutTarget();
+      element.addEventListener('loadedmetadata', videoResizeHandler);
+      element.addEventListener('resize', videoResizeHandler);
+    }
+
+    // Players and containers end with their videos too
+    originalElementState.endedMedia = getPaneMedia(element).filter(media => media.tagName === 'VIDEO');
+    originalElementState.endedMedia.forEach(media => media.addEventListener('ended', handleMediaEnded));
+
+    if (idleTracking) watchPaneFrames();
+
+    panOffset = { x: 0, y: 0 };
+    applyPaneAudio();
+    layoutTarget();
+    watchTarget();
+  }
+
+  /**
+   * Work out what a pane really shows and how. Known players are expanded whole so their
+   * controls, captions and menus come along; they stay where they are, since the page's
+   * scripts hold on to their elements.
+   */
+  function resolvePaneTarget(element, type, strategy) {
+    const resolved = type !== 'iframe' && type !== 'element' ? resolveAdapter(element) : null;
+    if (resolved) {
+      element = resolved.target;
+      type = 'container';
+    }
+
+    const siteStrategy = PaneFullscreenSettings.STRATEGIES.includes(siteSettings.strategy) && siteSettings.strategy;
+    return {
+      element,
+      type,
+      adapter: resolved ? resolved.adapter : null,
+      strategy: strategy || siteStrategy || (resolved ? 'inplace' : getDefaultStrategy(element, type))
+    };
+  }
+
+  /**
+   * Style an element for its type, then move it into the overlay or lift it where it is
+   */
+  function placePaneElement(element, type, adapter, state) {
+    ensureShadowStyles(element);
+    if (type === 'video') {
+      element.classList.add('pane-fullscreen-video');
+    } else if (type === 'iframe') {
+      element.classList.add('pane-fullscreen-iframe');
+    } else if (adapter) {
+      element.classList.add('pane-fullscreen-player');
+    } else if (type === 'element') {
+      element.classList.add('pane-fullscreen-element');
+      ensureOpaqueBackground(element);
+    } else {
+      element.classList.add('pane-fullscreen-container');
+    }
+
+    if (state.strategy === 'inplace') {
+      expandInPlace(element, state);
+    } else {
+      elementContainer.appendChild(element);
+    }
+  }
+
+  /**
+   * Take the current element out of the overlay and restore it to its original state
+   */
+  function detachTarget(options = {}) {
+    unwatchTarget();
+
+    // A child frame playing our expanded iframe's video ends its session with it
+    if (frameSession) {
+      postToFrame(frameSession.iframe.contentWindow, { type: 'exit' });
+      frameSession = null;
+    }
+
+    // Clean up video-specific handlers and controls
+    if (currentElement && originalElementState && originalElementState.type === 'video') {
+      // Remove click handler
+      if (videoClickHandler) {
+        currentElement.removeEventListener('click', videoClickHandler, { capture: true });
+        videoClickHandler = null;
+      }
+      if (videoResizeHandler) {
+        currentElement.removeEventListener('loadedmetadata', videoResizeHandler);
+        currentElement.removeEventListener('resize', videoResizeHandler);
+        videoResizeHandler = null;
+      }
+      
+      // Restore original controls state
+      if (!originalElementState.hadControls) {
+        currentElement.removeAttribute('controls');
+      }
+    }
+    
+    // Restore element
+    if (currentElement && originalElementState) {
+      originalElementState.endedMedia.forEach(media => media.removeEventListener('ended', handleMediaEnded));
+      restorePaneAudio(originalElementState);
+      restoreElementState(currentElement, originalElementState, options);
+      
+      // For videos, resume playback if it was playing (and is still on the page)
+      if (originalElementState.type === 'video' && originalElementState.wasPlaying && currentElement.isConnected) {
+        currentElement.play().catch(() => {});
+      }
+    }
+
+    // Let an adapter player or canvas renderer lay itself out for its original size again
+    restoreCanvasSizes(originalElementState);
+    if (currentAdapter || (originalElementState && originalElementState.hasCanvas)) {
+      notifyPlayerResize();
+    }
+    currentAdapter = null;
+
+    currentElement = null;
+    originalElementState = null;
+  }
+
+  /**
+   * Swap the element shown in the overlay without leaving pane fullscreen
+   */
+  function switchTarget(element, type, options = {}) {
+    detachTarget({ discard: options.discardCurrent });
+    attachTarget(element, type, options);
+  }
+
+  /**
+   * Watch for the page removing or replacing the current element, e.g. when a
+   * single-page app changes route or a player rebuilds its video for the next episode
+   */
+  function watchTarget() {
+    const roots = new Set([document, currentElement.ownerDocument]);
+    if (originalElementState.parent) {
+      roots.add(originalElementState.parent.getRootNode());
+    }
+
+    targetObserver = new MutationObserver(records => {
+      if (records.some(affectsPanes)) scheduleTargetCheck();
+    });
+    roots.forEach(root => targetObserver.observe(root, { childList: true, subtree: true }));
+  }
+
+  /**
+   * Stop watching the current element
+   */
+  function unwatchTarget() {
+    if (targetObserver) {
+      targetObserver.disconnect();
+      targetObserver = null;
+    }
+    clearTimeout(targetCheckTimeout);
+    clearTimeout(targetLostTimeout);
+    targetCheckTimeout = null;
+    targetLostTimeout = null;
+  }
+
+  /**
+   * Check whether a page mutation could have removed or replaced an element in a pane:
+   * it removed the element or the spot it came from, or added to that spot, or added
+   * anything while a removed element waits for its replacement. Changes in the
+   * overlay, which hosts moved players and their busy controls, never do.
+   */
+  function affectsPanes(record) {
+    if (overlay && overlay.contains(record.target)) return false;
+
+    const states = [originalElementState, ...extraPanes.map(pane => pane.state)];
+    return getPaneElements().some((element, index) => {
+      const parent = states[index] && states[index].parent;
+      const removed = [...record.removedNodes].some(node =>
+        containsDeep(node, element) || (parent && containsDeep(node, parent))
+      );
+      const added = record.addedNodes.length > 0 &&
+        (targetLostTimeout || (parent && containsDeep(parent, record.target)));
+
+      return removed || added;
+    });
+  }
+
+  /**
+   * Check the current element once the page has settled
+   */
+  function scheduleTargetCheck() {
+    if (!isActive || targetCheckTimeout) return;
+
+    targetCheckTimeout = setTimeout(() => {
+      targetCheckTimeout = null;
+      checkTarget();
+    }, TARGET_CHECK_DELAY);
+  }
+
+  /**
+   * Find an element the page put in place of the current one: new since the element
+   * was expanded, of the same type, and inside the closest part of its original
+   * spot that is still on the page
+   */
+  function findReplacement(state, scope) {
+    const replacements = getAllSelectableElements().filter(candidate =>
+      candidate.type === state.paneType &&
+      candidate.element !== currentElement &&
+      !state.knownElements.has(candidate.element) &&
+      containsDeep(scope, candidate.element)
+    );
+
+    replacements.sort((a, b) => getElementScore(b.element) - getElementScore(a.element));
+    return replacements[0] || null;
+  }
+
+  /**
+   * Follow the current element's replacement, or exit if it was removed for good
+   */
+  function checkTarget() {
+    if (!isActive || !currentElement || !originalElementState) return;
+
+    pruneExtraPanes();
+    if (!isActive) return;
+
+    const state = originalElementState;
+    const parentIntact = state.strategy === 'inplace' || (state.parent && state.parent.isConnected);
+    const intact = currentElement.isConnected && parentIntact;
+
+    // An element expanded in place that is still there has nothing to be replaced by
+    if (intact && state.strategy === 'inplace') return;
+
+    const scope = intact ? state.parent : state.slotPath.find(node => node.isConnected);
+    const replacement = scope && findReplacement(state, scope);
+
+    if (replacement) {
+      followReplacement(replacement);
+      return;
+    }
+
+    if (intact) {
+      clearTimeout(targetLostTimeout);
+      targetLostTimeout = null;
+      return;
+    }
+
+    // The page may still be building the next video
+    if (!targetLostTimeout) {
+      showHint('The page removed this video, waiting for a new one…', TARGET_LOST_GRACE);
+      targetLostTimeout = setTimeout(() => {
+        targetLostTimeout = null;
+        exitPaneFullscreen();
+      }, TARGET_LOST_GRACE);
+    }
+  }
+
+  /**
+   * Swap in the element the page replaced the current one with, keeping pane fullscreen
+   */
+  function followReplacement(replacement) {
+    const rect = replacement.element.getBoundingClientRect();
+    const entry = {
+      ...replacement,
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      score: getElementScore(replacement.element)
+    };
+
+    switchTarget(replacement.element, replacement.type, { discardCurrent: true });
+
+    if (candidateIndex >= 0) {
+      candidates[candidateIndex] = entry;
+    } else {
+      candidates.unshift(entry);
+      candidateIndex = 0;
+    }
+    updateCandidateButtons();
+  }
+
+  /**
+   * Step through the ranked candidates while pane fullscreen is active
+   */
+  function cycleCandidate(step) {
+    if (!isActive) return;
+
+    // Drop candidates the page removed since the list was built, and skip ones shown in other panes
+    const current = candidates[candidateIndex];
+    candidates = candidates.filter(candidate => candidate === current || candidate.element.isConnected);
+    const shown = extraPanes.map(pane => pane.element);
+    const cyclable = candidates.filter(candidate => candidate === current ||
+      !shown.some(element => containsDeep(element, candidate.element) || containsDeep(candidate.element, element)));
+    candidateIndex = candidates.indexOf(current);
+    updateCandidateButtons();
+    
+    if (cyclable.length < 2) {
+      showHint('No other videos on this page');
+      return;
+    }
+
+    const position = (cyclable.indexOf(current) + step + cyclable.length) % cyclable.length;
+    const candidate = cyclable[position];
+    candidateIndex = candidates.indexOf(candidate);
+    
+    switchTarget(candidate.element, candidate.type);
+    showHint(describeCandidate(candidate, candidateIndex));
+  }
+
+  /**
+   * Get the elements shown in the overlay, the current one first
+   */
+  function getPaneElements() {
+    return currentElement ? [currentElement, ...extraPanes.map(pane => pane.element)] : [];
+  }
+
+  /**
+   * Check if an element is shown in a pane, or is inside or around one that is
+   */
+  function isShownInPane(element) {
+    return getPaneElements().some(shown => containsDeep(shown, element) || containsDeep(element, shown));
+  }
+
+  /**
+   * Spread the panes evenly for the current layout. A 2×2 grid needs at least three panes.
+   */
+  function resetPaneSplits() {
+    const count = extraPanes.length + 1;
+    if (paneLayout === 'grid' && count < 3) paneLayout = 'columns';
+
+    paneSplits = paneLayout === 'grid'
+      ? [0.5, 0.5]
+      : Array.from({ length: count - 1 }, (_, index) => (index + 1) / count);
+  }
+
+  /**
+   * Divide the pane into one slot per element. Columns and rows are split at the
+   * fractions in paneSplits; the grid at paneSplits [x, y], with a third pane
+   * spanning the bottom row.
+   */
+  function getPaneSlots(area) {
+    const count = extraPanes.length + 1;
+    if (count === 1) return [area];
+
+    const gap = PANE_GAP / 2;
+    const slot = (x0, x1, y0, y1) => {
+      const left = area.left + area.width * x0 + (x0 > 0 ? gap : 0);
+      const top = area.top + area.height * y0 + (y0 > 0 ? gap : 0);
+      const right = area.left + area.width * x1 - (x1 < 1 ? gap : 0);
+      const bottom = area.top + area.height * y1 - (y1 < 1 ? gap : 0);
+      return { left, top, width: right - left, height: bottom - top };
+    };
+
+    if (paneLayout === 'grid') {
+      const [x, y] = paneSplits;
+      const bottomRow = count === 3 ? [slot(0, 1, y, 1)] : [slot(0, x, y, 1), slot(x, 1, y, 1)];
+      return [slot(0, x, 0, y), slot(x, 1, 0, y), ...bottomRow];
+    }
+
+    const edges = [0, ...paneSplits, 1];
+    return edges.slice(0, -1).map((start, index) => paneLayout === 'columns'
+      ? slot(start, edges[index + 1], 0, 1)
+      : slot(0, 1, start, edges[index + 1]));
+  }
+
+  /**
+   * Describe the draggable dividers between slots: which split each one moves, along
+   * which axis, and how far it runs across the other axis (as fractions of the pane)
+   */
+  function getPaneDividers() {
+    const count = extraPanes.length + 1;
+    if (count === 1) return [];
+
+    if (paneLayout === 'grid') {
+      return [
+        { axis: 'x', index: 0, start: 0, end: count === 3 ? paneSplits[1] : 1 },
+        { axis: 'y', index: 1, start: 0, end: 1 }
+      ];
+    }
+
+    const axis = paneLayout === 'columns' ? 'x' : 'y';
+    return paneSplits.map((_, index) => ({ axis, index, start: 0, end: 1 }));
+  }
+
+  /**
+   * Build the dividers and per-pane buttons for the current panes
+   */
+  function renderPaneChrome() {
+    if (paneChrome) paneChrome.layer.remove();
+    paneChrome = null;
+
+    if (toolbar) {
+      toolbar.querySelector('.pane-fullscreen-layout-btn').hidden = extraPanes.length === 0;
+    }
+    if (!overlay || extraPanes.length === 0) return;
+
+    const layer = document.createElement('div');
+    layer.className = 'pane-fullscreen-panes';
+
+    const dividers = getPaneDividers().map(divider => {
+      const handle = document.createElement('div');
+      handle.className = `pane-fullscreen-divider ${divider.axis === 'x' ? 'vertical' : 'horizontal'}`;
+      handle.addEventListener('pointerdown', (e) => startDividerDrag(e, divider, handle));
+      layer.appendChild(handle);
+      return { ...divider, handle };
+    });
+
+    const controls = getPaneElements().map((_, index) => {
+      const group = document.createElement('div');
+      group.className = 'pane-fullscreen-pane-controls';
+
+      const audio = createToolbarButton('Play this pane\'s sound, mute the others', ICONS.volume, () => setAudioPane(index));
+      audio.classList.add('pane-fullscreen-audio-btn');
+      audio.classList.toggle('active', index === audioPane);
+      group.appendChild(audio);
+      group.appendChild(createToolbarButton('Remove this pane', ICONS.close, () => removePane(index)));
+
+      layer.appendChild(group);
+      return group;
+    });
+
+    overlay.appendChild(layer);
+    paneChrome = { layer, dividers, controls };
+  }
+
+  /**
+   * Put the dividers and per-pane buttons over the slots they belong to
+   */
+  function positionPaneChrome(area, slots) {
+    if (!paneChrome) return;
+
+    paneChrome.dividers.forEach(divider => {
+      const at = paneSplits[divider.index];
+      const vertical = divider.axis === 'x';
+      Object.assign(divider.handle.style, vertical ? {
+        left: `${area.left + area.width * at - PANE_GAP / 2}px`,
+        top: `${area.top + area.height * divider.start}px`,
+        width: `${PANE_GAP}px`,
+        height: `${area.height * (divider.end - divider.start)}px`
+      } : {
+        left: `${area.left + area.width * divider.start}px`,
+        top: `${area.top + area.height * at - PANE_GAP / 2}px`,
+        width: `${area.width * (divider.end - divider.start)}px`,
+        height: `${PANE_GAP}px`
+      });
+    });
+
+    paneChrome.controls.forEach((group, index) => {
+      const slot = slots[index];
+      group.style.left = `${slot.left + slot.width - 8}px`;
+      group.style.top = `${slot.top + 8}px`;
+    });
+  }
+
+  /**
+   * Drag a divider, keeping every pane at least MIN_PANE_SHARE of the way across
+   */
+  function startDividerDrag(e, divider, handle) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Capturing the pointer keeps the drag going over iframes
+    handle.setPointerCapture(e.pointerId);
+    handle.classList.add('dragging');
+
+    const move = (event) => {
+      const area = getPaneRect(currentElement);
+      const at = divider.axis === 'x'
+        ? (event.clientX - area.left) / area.width
+        : (event.clientY - area.top) / area.height;
+      const low = paneLayout === 'grid' ? 0 : (paneSplits[divider.index - 1] ?? 0);
+      const high = paneLayout === 'grid' ? 1 : (paneSplits[divider.index + 1] ?? 1);
+
+      paneSplits[divider.index] = Math.min(Math.max(at, low + MIN_PANE_SHARE), high - MIN_PANE_SHARE);
+      layoutTarget();
+    };
+
+    const end = () => {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+      handle.classList.remove('dragging');
+
+      // The grid's vertical divider stops at the horizontal one when a pane spans the bottom row
+      if (paneLayout === 'grid') renderPaneChrome();
+      layoutTarget();
+    };
+
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+  }
+
+  /**
+   * Get the media elements a pane's sound comes from (none for cross-origin players)
+   */
+  function getPaneMedia(element) {
+    if (element.tagName === 'VIDEO') return [element];
+    if (element.tagName === 'IFRAME') {
+      return isCrossOriginFrame(element) ? [] : deepQuerySelectorAll('video, audio', element.contentDocument);
+    }
+    return deepQuerySelectorAll('video, audio', element);
+  }
+
+  /**
+   * Mute every pane but the one chosen for sound, remembering how each was before
+   */
+  function applyPaneAudio() {
+    // Boost, night mode and mono follow the pane that is heard
+    if (routedMedia || isAudioEnhanced()) {
+      const error = updateAudioRouting();
+
+      // After the hint of whatever switched the pane, which would hide it
+      if (error) setTimeout(() => showHint(error, 4000));
+    }
+
+    if (extraPanes.length === 0) return;
+
+    const states = [originalElementState, ...extraPanes.map(pane => pane.state)];
+    getPaneElements().forEach((element, index) => {
+      const state = states[index];
+      state.mutedMedia = state.mutedMedia || new Map();
+
+      getPaneMedia(element).forEach(media => {
+        if (!state.mutedMedia.has(media)) state.mutedMedia.set(media, media.muted);
+        media.muted = index !== audioPane;
+      });
+    });
+  }
+
+  /**
+   * Give a pane's media back the muted state it had before the panes were split
+   */
+  function restorePaneAudio(state) {
+    if (!state || !state.mutedMedia) return;
+
+    state.mutedMedia.forEach((muted, media) => {
+      media.muted = muted;
+    });
+    state.mutedMedia = null;
+  }
+
+  /**
+   * Make one pane the one whose sound plays; keyboard playback controls follow it too
+   */
+  function setAudioPane(index) {
+    audioPane = index;
+    applyPaneAudio();
+
+    if (paneChrome) {
+      paneChrome.controls.forEach((group, other) => {
+        group.querySelector('.pane-fullscreen-audio-btn').classList.toggle('active', other === index);
+      });
+    }
+
+    const silent = getPaneElements().some((element, other) =>
+      other !== index && element.tagName === 'IFRAME' && getPaneMedia(element).length === 0
+    );
+    showHint(silent ? 'Players from other sites can\'t be muted from here' : `Sound from pane ${index + 1}`);
+  }
+
+  /**
+   * Show another element beside the current one, in its own slot with its own saved
+   * state. Returns true if it was added.
+   */
+  function addPane(element, type) {
+    if (!isActive || !currentElement) return false;
+
+    if (extraPanes.length + 1 >= MAX_PANES) {
+      showHint(`Up to ${MAX_PANES} panes at a time`);
+      return false;
+    }
+
+    // Elements in other documents are fitted to their own frame's viewport
+    if (currentElement.ownerDocument !== document || element.ownerDocument !== document) {
+      showHint('Videos inside frames can\'t share the pane');
+      return false;
+    }
+
+    const target = resolvePaneTarget(element, type);
+    if (isShownInPane(target.element)) {
+      showHint('That is already in a pane');
+      return false;
+    }
+
+    const state = saveElementState(target.element, target.strategy);
+    state.paneType = target.type;
+    saveCanvasState(target.element, state);
+    placePaneElement(target.element, target.type, target.adapter, state);
+
+    if (target.type === 'video') {
+      state.hadControls = target.element.hasAttribute('controls');
+      target.element.setAttribute('controls', '');
+      if (state.wasPlaying) target.element.play().catch(() => {});
+    }
+
+    extraPanes.push({ element: target.element, type: target.type, adapter: target.adapter, state });
+    setOverlayStrategy(originalElementState.strategy);
+    resetPaneSplits();
+    applyPaneAudio();
+    renderPaneChrome();
+    layoutTarget();
+    watchPaneFrames();
+    showHint(`${PANE_LAYOUT_LABELS[paneLayout]} · ${extraPanes.length + 1} panes`);
+    return true;
+  }
+
+  /**
+   * Put an extra pane's element back where it came from
+   */
+  function detachPane(pane, options = {}) {
+    restorePaneAudio(pane.state);
+
+    if (pane.type === 'video' && !pane.state.hadControls) {
+      pane.element.removeAttribute('controls');
+    }
+    restoreElementState(pane.element, pane.state, options);
+    restoreCanvasSizes(pane.state);
+
+    if (pane.adapter || pane.state.hasCanvas) notifyPlayerResize();
+  }
+
+  /**
+   * Take one pane out of the layout. Removing the first pane promotes the next one to
+   * the current element; removing the last one left exits.
+   */
+  function removePane(index, options = {}) {
+    if (extraPanes.length === 0) {
+      exitPaneFullscreen();
+      return;
+    }
+
+    if (index === 0) {
+      const next = extraPanes.shift();
+      detachPane(next);
+      switchTarget(next.element, next.type, { discardCurrent: options.discard });
+    } else {
+      detachPane(extraPanes.splice(index - 1, 1)[0], options);
+    }
+
+    if (audioPane === index) {
+      audioPane = 0;
+    } else if (audioPane > index) {
+      audioPane--;
+    }
+
+    if (extraPanes.length === 0) {
+      restorePaneAudio(originalElementState);
+    }
+
+    setOverlayStrategy(originalElementState.strategy);
+    resetPaneSplits();
+    applyPaneAudio();
+    renderPaneChrome();
+    layoutTarget();
+    watchPaneFrames();
+  }
+
+  /**
+   * Put every extra pane back, leaving only the current element
+   */
+  function removeExtraPanes() {
+    extraPanes.forEach(pane => detachPane(pane));
+    extraPanes = [];
+    audioPane = 0;
+    restorePaneAudio(originalElementState);
+    renderPaneChrome();
+    closePaneMenu();
+  }
+
+  /**
+   * Drop extra panes whose element the page removed
+   */
+  function pruneExtraPanes() {
+    extraPanes.slice().forEach(pane => {
+      const gone = pane.state.strategy === 'inplace'
+        ? !pane.element.isConnected
+        : !pane.state.parent || !pane.state.parent.isConnected;
+      if (gone) removePane(extraPanes.indexOf(pane) + 1, { discard: true });
+    });
+  }
+
+  /**
+   * Move on to the next pane layout; the grid is offered once there are three panes
+   */
+  function cyclePaneLayout() {
+    if (extraPanes.length === 0) {
+      showHint('Add a pane first (N)');
+      return;
+    }
+
+    const layouts = extraPanes.length >= 2 ? PANE_LAYOUTS : PANE_LAYOUTS.filter(layout => layout !== 'grid');
+    paneLayout = layouts[(layouts.indexOf(paneLayout) + 1) % layouts.length];
+    resetPaneSplits();
+    renderPaneChrome();
+    layoutTarget();
+    showHint(`Layout: ${PANE_LAYOUT_LABELS[paneLayout]}`);
+  }
+
+  /**
+   * Open or close the menu of other candidates that can be added as a pane
+   */
+  function togglePaneMenu() {
+    if (paneMenu) {
+      closePaneMenu();
+      return;
+    }
+    if (!overlay) return;
+
+    if (extraPanes.length + 1 >= MAX_PANES) {
+      showHint(`Up to ${MAX_PANES} panes at a time`);
+      return;
+    }
+
+    const options = candidates.filter(candidate => candidate.element.isConnected && !isShownInPane(candidate.element));
+    if (options.length === 0) {
+      showHint('No other videos on this page');
+      return;
+    }
+
+    paneMenu = document.createElement('div');
+    paneMenu.className = 'pane-fullscreen-menu';
+
+    const title = document.createElement('div');
+    title.className = 'pane-fullscreen-menu-title';
+    title.textContent = 'Add a pane';
+    paneMenu.appendChild(title);
+
+    options.forEach(candidate => {
+      const item = document.createElement('button');
+      const name = document.createElement('span');
+      const detail = document.createElement('small');
+
+      name.textContent = `${TYPE_LABELS[candidate.type]} · ${candidate.width}×${candidate.height}`;
+      detail.textContent = getTitleHint(candidate.element);
+      item.appendChild(name);
+      item.appendChild(detail);
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closePaneMenu();
+        addPane(candidate.element, candidate.type);
+      });
+      paneMenu.appendChild(item);
+    });
+
+    overlay.appendChild(paneMenu);
+  }
+
+  /**
+   * Close the add-a-pane menu
+   */
+  function closePaneMenu() {
+    if (paneMenu) paneMenu.remove();
+    paneMenu = null;
+  }
+
+  /**
+   * Get where the mini pane opens the first time on a site: a 16:9 frame in the
+   * bottom right corner
+   */
+  function getDefaultMiniRect() {
+    const width = Math.max(MINI_MIN_WIDTH, Math.round(window.innerWidth * 0.4));
+    const height = Math.round(width * 9 / 16) + MINI_BAR_HEIGHT;
+    return {
+      left: window.innerWidth - width - MINI_MARGIN,
+      top: window.innerHeight - height - MINI_MARGIN,
+      width,
+      height
+    };
+  }
+
+  /**
+   * Keep a mini pane frame on screen and above its minimum size
+   */
+  function clampMiniRect(rect) {
+    const width = Math.min(Math.max(rect.width, MINI_MIN_WIDTH), window.innerWidth);
+    const height = Math.min(Math.max(rect.height, MINI_MIN_HEIGHT), window.innerHeight);
+    return {
+      left: Math.min(Math.max(rect.left, 0), window.innerWidth - width),
+      top: Math.min(Math.max(rect.top, 0), window.innerHeight - height),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Pull a frame dropped near an edge of the window to that edge, so it settles into
+   * a corner when dropped near one
+   */
+  function snapMiniRect(rect) {
+    const snapped = { ...rect };
+    const right = window.innerWidth - rect.left - rect.width;
+    const bottom = window.innerHeight - rect.top - rect.height;
+
+    if (rect.left < MINI_SNAP_DISTANCE) snapped.left = MINI_MARGIN;
+    if (right < MINI_SNAP_DISTANCE) snapped.left = window.innerWidth - rect.width - MINI_MARGIN;
+    if (rect.top < MINI_SNAP_DISTANCE) snapped.top = MINI_MARGIN;
+    if (bottom < MINI_SNAP_DISTANCE) snapped.top = window.innerHeight - rect.height - MINI_MARGIN;
+
+    return clampMiniRect(snapped);
+  }
+
+  /**
+   * Move the mini pane frame, and the backdrop in-place elements sit on, to a rect
+   */
+  function applyMiniRect(rect) {
+    miniRect = clampMiniRect(rect);
+
+    [elementContainer, backdrop].forEach(layer => {
+      if (!layer) return;
+      layer.style.setProperty('left', `${miniRect.left}px`, 'important');
+      layer.style.setProperty('top', `${miniRect.top}px`, 'important');
+      layer.style.setProperty('width', `${miniRect.width}px`, 'important');
+      layer.style.setProperty('height', `${miniRect.height}px`, 'important');
+    });
+    if (backdrop) backdrop.classList.add('pane-fullscreen-backdrop-mini');
+  }
+
+  /**
+   * Remember the mini pane's size and position for this site, in storage.local as it
+   * is saved after every drag
+   */
+  function saveMiniRect() {
+    PaneFullscreenSettings.updateSiteSettings(getSiteHostname(), { miniPaneRect: miniRect }).catch(() => {});
+  }
+
+  /**
+   * Drag the mini pane by its bar ('move') or its corner grip ('resize')
+   */
+  function startMiniDrag(e, mode) {
+    if (e.button !== 0 || e.target.closest('button')) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Capturing the pointer keeps the drag going over iframes on the page
+    const handle = e.currentTarget;
+    handle.setPointerCapture(e.pointerId);
+
+    const start = { x: e.clientX, y: e.clientY, rect: { ...miniRect } };
+
+    const move = (event) => {
+      const dx = event.clientX - start.x;
+      const dy = event.clientY - start.y;
+
+      applyMiniRect(mode === 'move'
+        ? { ...start.rect, left: start.rect.left + dx, top: start.rect.top + dy }
+        : { ...start.rect, width: start.rect.width + dx, height: start.rect.height + dy });
+    };
+
+    const end = () => {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+
+      if (mode === 'move') applyMiniRect(snapMiniRect(miniRect));
+      saveMiniRect();
+    };
+
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+  }
+
+  /**
+   * Keep the mini pane on screen when the window shrinks
+   */
+  function handleMiniWindowResize() {
+    applyMiniRect(miniRect);
+  }
+
+  /**
+   * Switch between the full-window pane and the mini pane, a frame floating over the
+   * page that can be dragged, resized and snapped to a corner while the page stays usable
+   */
+  function setMiniPane(enabled) {
+    if (!overlay || miniPane === enabled) return;
+    miniPane = enabled;
+
+    overlay.classList.toggle('pane-fullscreen-overlay-mini', enabled);
+
+    if (enabled) {
+      miniBar = document.createElement('div');
+      miniBar.className = 'pane-fullscreen-mini-bar';
+      miniBar.appendChild(createToolbarButton('Full pane (I)', ICONS.expand, () => setMiniPane(false)));
+      miniBar.appendChild(createToolbarButton('Exit Pane Fullscreen (ESC)', ICONS.close, exitPaneFullscreen));
+      miniBar.addEventListener('pointerdown', (e) => startMiniDrag(e, 'move'));
+
+      miniGrip = document.createElement('div');
+      miniGrip.className = 'pane-fullscreen-mini-grip';
+      miniGrip.title = 'Drag to resize';
+      miniGrip.addEventListener('pointerdown', (e) => startMiniDrag(e, 'resize'));
+
+      elementContainer.appendChild(miniBar);
+      elementContainer.appendChild(miniGrip);
+      applyMiniRect(siteSettings.miniPaneRect || getDefaultMiniRect());
+      window.addEventListener('resize', handleMiniWindowResize);
+    } else {
+      miniBar.remove();
+      miniGrip.remove();
+      miniBar = null;
+      miniGrip = null;
+
+      [elementContainer, backdrop].forEach(layer => {
+        if (!layer) return;
+        ['left', 'top', 'width', 'height'].forEach(property => layer.style.removeProperty(property));
+      });
+      if (backdrop) backdrop.classList.remove('pane-fullscreen-backdrop-mini');
+      window.removeEventListener('resize', handleMiniWindowResize);
+    }
+
+    layoutTarget();
+    showHint(enabled ? 'Mini pane · drag the bar to move it, the corner to resize' : 'Full pane');
+  }
+
+  /**
+   * Toggle the mini pane. The frame holding a session started by the parent frame
+   * can't float on its own, so the request goes to the frame that expanded it.
+   */
+  function toggleMiniPane() {
+    if (embeddedSession) {
+      postToFrame(window.parent, { type: 'mini' });
+      return;
+    }
+    setMiniPane(!miniPane);
+  }
+
+  /**
+   * Note where each of an element's media is in playback, to carry it across a move
+   */
+  function capturePlayback(element) {
+    return getPaneMedia(element).map(media => ({
+      media,
+      time: media.currentTime,
+      playing: !media.paused && !media.ended
+    }));
+  }
+
+  /**
+   * Put media back where capturePlayback found it. Moving a video between documents
+   * pauses it, and a reloaded player starts over.
+   */
+  function resumePlayback(playback) {
+    playback.forEach(({ media, time, playing }) => {
+      if (Math.abs(media.currentTime - time) > 0.5) media.currentTime = time;
+      if (playing && media.paused) media.play().catch(() => {});
+      if (!playing && !media.paused) media.pause();
+    });
+  }
+
+  /**
+   * Copy the page's styles into a Document Picture-in-Picture window so a moved
+   * player looks the same there, along with our own
+   */
+  function copyStylesTo(targetDocument) {
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        const style = targetDocument.createElement('style');
+        style.textContent = Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        targetDocument.head.appendChild(style);
+      } catch (e) {
+        // Cross-origin stylesheets can't be read, but can be linked
+        if (!sheet.href) return;
+        const link = targetDocument.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = sheet.href;
+        targetDocument.head.appendChild(link);
+      }
+    });
+
+    const link = targetDocument.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL('styles.css');
+    targetDocument.head.appendChild(link);
+    targetDocument.body.classList.add('pane-fullscreen-pip-body');
+  }
+
+  /**
+   * Move the current element out of the pane into Picture-in-Picture, so it follows
+   * the user across tabs. Videos use the browser's own Picture-in-Picture; players and
+   * containers go into a Document Picture-in-Picture window. Only the first pane goes.
+   */
+  async function enterPictureInPicture() {
+    if (!isActive || !currentElement) return;
+
+    const element = currentElement;
+    const type = originalElementState.paneType;
+    const playback = capturePlayback(element);
+
+    if (element.tagName === 'VIDEO') {
+      if (!document.pictureInPictureEnabled || element.disablePictureInPicture) {
+        showHint('Picture-in-Picture is turned off for this video');
+        return;
+      }
+
+      // Put the video back first: taking it out of the page would end Picture-in-Picture
+      exitPaneFullscreen();
+      resumePlayback(playback);
+
+      try {
+        await element.requestPictureInPicture();
+      } catch (error) {
+        enterPaneFullscreen(element, type);
+        showHint(`Picture-in-Picture failed: ${error.message}`);
+        return;
+      }
+
+      const session = { kind: 'video', element, type, returnToPane: false };
+      const handleLeave = () => {
+        element.removeEventListener('leavepictureinpicture', handleLeave);
+        if (pipSession !== session) return;
+        pipSession = null;
+
+        // "Back to tab" keeps the video playing, closing the window pauses it. Asking
+        // for the pane with the key brings it back either way.
+        if ((session.returnToPane || !element.paused) && element.isConnected && !isActive && enterPaneFullscreen(element, type)) {
+          expandParentFrame();
+        }
+      };
+      element.addEventListener('leavepictureinpicture', handleLeave);
+      pipSession = session;
+      return;
+    }
+
+    if (!window.documentPictureInPicture) {
+      showHint('This browser can only put videos in Picture-in-Picture');
+      return;
+    }
+    if (element.ownerDocument !== document) {
+      showHint('Players inside frames can\'t go into Picture-in-Picture');
+      return;
+    }
+
+    // Asking for the window first uses up the key press or click that allows it
+    const ratio = getContentRatio(element, originalElementState);
+    let pipWindow;
+    try {
+      pipWindow = await window.documentPictureInPicture.requestWindow({
+        width: PIP_WINDOW_WIDTH,
+        height: Math.round(PIP_WINDOW_WIDTH / ratio)
+      });
+    } catch (error) {
+      showHint(`Picture-in-Picture failed: ${error.message}`);
+      return;
+    }
+
+    // The page may have ended the session while the window opened
+    if (!isActive || currentElement !== element) {
+      pipWindow.close();
+      return;
+    }
+
+    exitPaneFullscreen();
+    copyStylesTo(pipWindow.document);
+
+    const state = saveElementState(element);
+    element.classList.add('pane-fullscreen-pip-target');
+    pipWindow.document.body.appendChild(element);
+    resumePlayback(playback);
+
+    const back = pipWindow.document.createElement('button');
+    back.className = 'pane-fullscreen-pip-return';
+    back.textContent = 'Back to pane';
+    back.addEventListener('click', () => closeDocumentPictureInPicture(true));
+    pipWindow.document.body.appendChild(back);
+
+    pipSession = { kind: 'document', element, type, state, window: pipWindow };
+    pipWindow.addEventListener('pagehide', () => closeDocumentPictureInPicture(false));
+
+    if (type === 'iframe' || deepQuerySelectorAll('iframe', element, false).length > 0) {
+      back.title = 'Embedded players reload when they move, so they may start over';
+    }
+  }
+
+  /**
+   * Bring the element back from a Document Picture-in-Picture window to its place on
+   * the page, and into the pane again if asked to
+   */
+  function closeDocumentPictureInPicture(returnToPane) {
+    if (!pipSession || pipSession.kind !== 'document') return;
+
+    const { element, type, state, window: pipWindow } = pipSession;
+    pipSession = null;
+
+    const playback = capturePlayback(element);
+    restoreElementState(element, state);
+    resumePlayback(playback);
+
+    if (!pipWindow.closed) pipWindow.close();
+
+    if (returnToPane && element.isConnected) {
+      enterPaneFullscreen(element, type);
+      resumePlayback(playback);
+    }
+  }
+
+  /**
+   * Move between pane fullscreen and Picture-in-Picture
+   */
+  function togglePictureInPicture() {
+    if (isActive) {
+      enterPictureInPicture();
+    } else if (pipSession && pipSession.kind === 'video') {
+      pipSession.returnToPane = true;
+      document.exitPictureInPicture().catch(() => {});
+    } else if (pipSession) {
+      closeDocumentPictureInPicture(true);
+    }
+  }
+
+  /**
+   * Listen for playback starting in a document or shadow root. Media events don't
+   * leave shadow roots, so each open one gets its own listeners.
+   */
+  function watchPlayEvents(root) {
+    if (watchedPlayRoots.has(root)) return;
+
+    watchedPlayRoots.add(root);
+    root.addEventListener('play', handlePlaybackStarted, true);
+    root.addEventListener('playing', handlePlaybackStarted, true);
+  }
+
+  /**
+   * Watch for playback while this site's auto-enter rule is on: in the document, and
+   * in every open shadow root, including those of players added later
+   */
+  function updatePlayWatching() {
+    if (!siteSettings.autoEnterOnPlay) {
+      if (playRootObserver) playRootObserver.disconnect();
+      playRootObserver = null;
+      cancelAutoEnter();
+      return;
+    }
+    if (playRootObserver) return;
+
+    let addedElements = [];
+    let scanTimer = null;
+
+    const observer = new MutationObserver(records => {
+      records.forEach(record => record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) addedElements.push(node);
+      }));
+      if (scanTimer || addedElements.length === 0) return;
+
+      // At most one look per delay, so pages that never stop changing still get one
+      scanTimer = setTimeout(() => {
+        const elements = addedElements.filter(element => element.isConnected);
+        addedElements = [];
+        scanTimer = null;
+        if (playRootObserver === observer) scan(elements);
+      }, PLAY_WATCH_DELAY);
+    });
+
+    // Changes inside shadow roots don't reach the document's observer, so each is observed too
+    const watchRoot = root => {
+      watchPlayEvents(root);
+      observer.observe(root, { childList: true, subtree: true });
+    };
+    const scan = elements => elements.forEach(element => {
+      [element, ...deepQuerySelectorAll('*', element, false)].forEach(node => {
+        if (node.shadowRoot) watchRoot(node.shadowRoot);
+      });
+    });
+
+    playRootObserver = observer;
+    watchRoot(document);
+    scan([document.documentElement]);
+  }
+
+  /**
+   * A video started playing somewhere in this document
+   */
+  function handlePlaybackStarted(e) {
+    if (e.target.tagName === 'VIDEO') considerAutoEnter(e.target, 'video');
+  }
+
+  /**
+   * Decide whether playback that just started is the page's main video: audible, big
+   * enough, not excluded, and ranked at least as high as every other candidate that
+   * isn't part of the same player. Muted autoplay previews and ads in side slots aren't.
+   */
+  function isMainPlayback(element, type) {
+    if (type === 'video' && (element.muted || element.volume === 0)) return false;
+    if (isExcluded(element) || getVisibleArea(element) < AUTO_ENTER_MIN_AREA) return false;
+
+    const score = getElementScore(element);
+    return getAllSelectableElements().every(candidate =>
+      candidate.element === element ||
+      containsDeep(candidate.element, element) ||
+      containsDeep(element, candidate.element) ||
+      getElementScore(candidate.element) <= score
+    );
+  }
+
+  /**
+   * Start counting down to pane fullscreen for playback that just started, if this
+   * site's auto-enter rule is on and it's the main video. Child frames pass the
+   * decision up, so the top frame can rank their iframe against the rest of the page.
+   * Each video is entered this way once, so pausing and playing again after leaving
+   * doesn't bring it back.
+   */
+  function considerAutoEnter(element, type) {
+    if (!siteSettings.autoEnterOnPlay || isActive || embeddedSession || selectState || autoEnterCountdown) return;
+    if (autoEnterHandled.has(element) || !isMainPlayback(element, type)) return;
+
+    if (type === 'video') autoEnterHandled.add(element);
+
+    if (IS_TOP_FRAME) {
+      startAutoEnterCountdown(element, type);
+    } else {
+      postToFrame(window.parent, { type: 'playing' });
+    }
+  }
+
+  /**
+   * Show a short countdown before entering, so ESC or its button can keep the page as it is
+   */
+  function startAutoEnterCountdown(element, type) {
+    const notice = document.createElement('div');
+    notice.className = 'pane-fullscreen-auto-notice';
+
+    const text = document.createElement('span');
+    const stayOut = document.createElement('button');
+    stayOut.textContent = 'Stay out';
+    stayOut.addEventListener('click', () => cancelAutoEnter());
+
+    notice.appendChild(text);
+    notice.appendChild(stayOut);
+    document.body.appendChild(notice);
+
+    const countdown = { notice, remaining: AUTO_ENTER_GRACE };
+    const update = () => {
+      text.textContent = `Pane fullscreen in ${countdown.remaining}s · ESC to stay out`;
+    };
+
+    update();
+    countdown.timer = setInterval(() => {
+      countdown.remaining--;
+      if (countdown.remaining > 0) {
+        update();
+        return;
+      }
+
+      cancelAutoEnter();
+
+      // The video may have been paused or taken away in the meantime
+      if (isActive || !element.isConnected || (type === 'video' && element.paused)) return;
+      if (enterPaneFullscreen(element, type)) {
+        showHint('Entered automatically · ESC to exit', 3000);
+      }
+    }, 1000);
+
+    autoEnterCountdown = countdown;
+  }
+
+  /**
+   * Stop the countdown to auto-enter, if one is running
+   */
+  function cancelAutoEnter() {
+    if (!autoEnterCountdown) return;
+
+    clearInterval(autoEnterCountdown.timer);
+    autoEnterCountdown.notice.remove();
+    autoEnterCountdown = null;
+  }
+
+  /**
+   * Turn this site's auto-enter rule off from the overlay
+   */
+  function turnOffAutoEnter() {
+    siteSettings = { ...siteSettings, autoEnterOnPlay: false };
+    updatePlayWatching();
+    updateAutoEnterButton();
+    showHint('Videos on this site won\'t enter pane fullscreen by themselves any more', 3000);
+
+    PaneFullscreenSettings.updateSiteSettings(getSiteHostname(), { autoEnterOnPlay: false }).catch(() => {});
+  }
+
+  /**
+   * Show the overlay's auto-enter button only while the site's rule is on
+   */
+  function updateAutoEnterButton() {
+    const button = toolbar && toolbar.querySelector('.pane-fullscreen-auto-enter-btn');
+    if (button) button.hidden = !siteSettings.autoEnterOnPlay;
+  }
+
+  /**
+   * Act on the video in the pane reaching its end: stop for the sleep timer, or do
+   * what this site's end action says (stay, exit, or carry on with the next video)
+   */
+  function handleMediaEnded() {
+    if (!isActive || isShowingAd()) return;
+
+    // Resuming a finished video on the way out would start it over
+    originalElementState.wasPlaying = false;
+
+    if (sleepTimer && sleepTimer.option === 'end') {
+      sleepNow();
+      return;
+    }
+
+    if (siteSettings.endAction === 'exit') {
+      exitPaneFullscreen();
+    } else if (siteSettings.endAction === 'next') {
+      continueWithNextVideo();
+    }
+  }
+
+  /**
+   * Find the player's or page's "next episode" / "next video" control, if one is showing
+   */
+  function findNextControl() {
+    const adapter = currentAdapter || getAdapterFor(currentElement);
+    if (adapter && adapter.next) {
+      const control = deepQuerySelectorAll(adapter.next, currentElement)[0] || deepQuerySelectorAll(adapter.next)[0];
+      if (control && !control.disabled && control.getAttribute('aria-disabled') !== 'true') return control;
+    }
+
+    const findLabelled = (root, pattern) => deepQuerySelectorAll('button, a[href], [role="button"]', root).find(control => {
+      if (control.closest(`#${OVERLAY_ID}`) || control.disabled || getVisibleArea(control) === 0) return false;
+
+      const label = (control.getAttribute('aria-label') || control.title || control.textContent).trim();
+      return label.length < 40 && pattern.test(label);
+    });
+
+    return findLabelled(currentElement, NEXT_CONTROL_PATTERN) || findLabelled(document, PAGE_NEXT_CONTROL_PATTERN) || null;
+  }
+
+  /**
+   * Check if a node comes after the current element on the page, or after the spot a
+   * moved element was taken from
+   */
+  function followsCurrentElement(node) {
+    const FOLLOWING = Node.DOCUMENT_POSITION_FOLLOWING;
+    const state = originalElementState;
+
+    if (state.strategy !== 'reparent') {
+      return !!(currentElement.compareDocumentPosition(node) & FOLLOWING);
+    }
+    if (state.nextSibling && state.nextSibling.isConnected) {
+      return state.nextSibling === node || !!(state.nextSibling.compareDocumentPosition(node) & FOLLOWING);
+    }
+
+    const position = state.parent.compareDocumentPosition(node);
+    return !!(position & FOLLOWING) && !(position & Node.DOCUMENT_POSITION_CONTAINED_BY);
+  }
+
+  /**
+   * Carry on in pane fullscreen with what comes next: the next episode through the
+   * player's own control, or else the next video further down the page
+   */
+  function continueWithNextVideo() {
+    const control = findNextControl();
+    if (control) {
+      // The site swaps in the next video, which the target watcher follows
+      control.click();
+      showHint('Next video');
+      return;
+    }
+
+    const next = findAllVideos().find(video =>
+      !isShownInPane(video) && getVisibleArea(video) > 0 && followsCurrentElement(video)
+    );
+    if (!next) {
+      showHint('No next video on this page');
+      return;
+    }
+
+    switchTarget(next, 'video');
+    candidateIndex = candidates.findIndex(candidate => candidate.element === next);
+    next.play().catch(() => {});
+    showHint('Next video');
+  }
+
+  /**
+   * Move on to the next sleep timer setting: 15, 30 or 60 minutes, the end of this
+   * video, or off. A cross-origin player runs the timer in its own frame, next to its video.
+   */
+  function cycleSleepTimer() {
+    if (frameSession) {
+      postToFrame(frameSession.iframe.contentWindow, { type: 'sleepTimer' });
+      return;
+    }
+
+    const current = sleepTimer ? sleepTimer.option : null;
+    const option = SLEEP_TIMER_OPTIONS[(SLEEP_TIMER_OPTIONS.indexOf(current) + 1) % SLEEP_TIMER_OPTIONS.length];
+
+    clearSleepTimer();
+    if (option === null) {
+      showHint('Sleep timer off');
+      return;
+    }
+
+    sleepTimer = { option, timeout: null };
+    if (option === 'end') {
+      showHint('Sleep at the end of this video');
+    } else {
+      sleepTimer.timeout = setTimeout(sleepNow, option * 60 * 1000);
+      showHint(`Sleep in ${option} min`);
+    }
+    updateSleepButton();
+  }
+
+  /**
+   * Stop the sleep timer, if one is set
+   */
+  function clearSleepTimer() {
+    if (!sleepTimer) return;
+
+    clearTimeout(sleepTimer.timeout);
+    sleepTimer = null;
+    updateSleepButton();
+  }
+
+  /**
+   * Light up the sleep timer button while a timer is set
+   */
+  function updateSleepButton() {
+    const button = toolbar && toolbar.querySelector('.pane-fullscreen-sleep-btn');
+    if (button) button.classList.toggle('active', !!sleepTimer);
+  }
+
+  /**
+   * Pause everything in the panes and exit, for the sleep timer
+   */
+  function sleepNow() {
+    const media = getPaneElements().flatMap(getPaneMedia);
+
+    clearSleepTimer();
+    exitPaneFullscreen();
+
+    // Exiting resumes videos that were playing before, so pause after
+    media.forEach(item => item.pause());
+  }
+
+  /**
+   * Start hiding the overlay's controls and the cursor after a while without input
+   */
+  function startIdleTracking() {
+    idleTracking = true;
+    idleHold = false;
+    IDLE_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, handleOverlayActivity, true));
+    watchPaneFrames();
+    noteActivity();
+  }
+
+  /**
+   * Stop idle tracking and show everything again
+   */
+  function stopIdleTracking() {
+    if (!idleTracking) return;
+
+    idleTracking = false;
+    IDLE_ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, handleOverlayActivity, true));
+    clearTimeout(idleTimer);
+    setIdle(false);
+    watchPaneFrames();
+  }
+
+  /**
+   * Ask the iframes shown in panes to report pointer and key activity, which never
+   * reaches this document, and stop asking ones no longer shown
+   */
+  function watchPaneFrames() {
+    const frames = idleTracking
+      ? getPaneElements().flatMap(element => element.tagName === 'IFRAME' ? [element] : deepQuerySelectorAll('iframe', element, false))
+      : [];
+
+    idleFrames.filter(frame => !frames.includes(frame)).forEach(frame => {
+      postToFrame(frame.contentWindow, { type: 'watchActivity', watch: false });
+    });
+    frames.filter(frame => !idleFrames.includes(frame)).forEach(frame => {
+      relayFrames.add(frame);
+      postToFrame(frame.contentWindow, { type: 'watchActivity', watch: true });
+    });
+    idleFrames = frames;
+  }
+
+  /**
+   * Pointer or key activity in the page: keep the controls up while the pointer is on them
+   */
+  function handleOverlayActivity(e) {
+    idleHold = e.target instanceof Element && !!e.target.closest(IDLE_HOLD_SELECTOR);
+    noteActivity();
+  }
+
+  /**
+   * Show the controls and cursor again, and start waiting for the next idle spell
+   */
+  function noteActivity() {
+    setIdle(false);
+    clearTimeout(idleTimer);
+
+    const delay = preferences.idleHideDelay;
+    if (!delay) return;
+
+    idleTimer = setTimeout(() => {
+      // Not while the pointer is on a control, a menu is open, or the pane is a mini
+      // frame the user works around
+      if (isActive && !idleHold && !paneMenu && !adjustPanel && !audioPanel && !miniPane) setIdle(true);
+    }, delay * 1000);
+  }
+
+  /**
+   * Fade the overlay's controls and the cursor out or back in, here and in the
+   * iframes shown in panes. Only opacity and the cursor change, so the native video
+   * controls still come up on hover.
+   */
+  function setIdle(idle) {
+    if (document.documentElement.classList.contains(IDLE_CLASS) === idle) return;
+
+    document.documentElement.classList.toggle(IDLE_CLASS, idle);
+    idleFrames.forEach(frame => postToFrame(frame.contentWindow, { type: 'idle', idle }));
+  }
+
+  /**
+   * In a frame shown in the parent's pane: report pointer and key activity upwards,
+   * at most every ACTIVITY_REPORT_INTERVAL ms
+   */
+  function setActivityWatch(watch) {
+    if (watch === !!activityWatch) return;
+
+    if (watch) {
+      let lastReport = 0;
+      activityWatch = () => {
+        const now = Date.now();
+        if (now - lastReport < ACTIVITY_REPORT_INTERVAL) return;
+        lastReport = now;
+        postToFrame(window.parent, { type: 'activity' });
+      };
+      IDLE_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, activityWatch, true));
+    } else {
+      IDLE_ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, activityWatch, true));
+      activityWatch = null;
+      document.documentElement.classList.remove(IDLE_CLASS);
+    }
+  }
+
+  /**
+   * Get the CSS filter for the current adjustments
+   */
+  function getAdjustmentFilter() {
+    const { brightness, contrast, saturate, hue, sharpness } = adjustments;
+    const filters = [];
+
+    if (brightness !== 1) filters.push(`brightness(${brightness})`);
+    if (contrast !== 1) filters.push(`contrast(${contrast})`);
+    if (saturate !== 1) filters.push(`saturate(${saturate})`);
+    if (hue !== 0) filters.push(`hue-rotate(${hue}deg)`);
+    if (sharpness < 0) filters.push(`blur(${-sharpness * MAX_BLUR}px)`);
+    if (sharpness > 0) filters.push(`url(#${SHARPEN_FILTER_ID})`);
+
+    return filters.join(' ');
+  }
+
+  /**
+   * CSS has no sharpen filter, so sharpening goes through an SVG convolution filter
+   * in the element's document, created when first needed
+   */
+  function updateSharpenFilter(targetDocument) {
+    if (adjustments.sharpness <= 0) return;
+
+    if (!sharpenFilter || sharpenFilter.ownerDocument !== targetDocument) {
+      removeSharpenFilter();
+      sharpenFilter = targetDocument.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      sharpenFilter.setAttribute('width', '0');
+      sharpenFilter.setAttribute('height', '0');
+      sharpenFilter.style.setProperty('position', 'absolute', 'important');
+      sharpenFilter.innerHTML = `<filter id="${SHARPEN_FILTER_ID}"><feConvolveMatrix order="3" preserveAlpha="true"/></filter>`;
+      targetDocument.body.appendChild(sharpenFilter);
+    }
+
+    const k = adjustments.sharpness;
+    sharpenFilter.querySelector('feConvolveMatrix')
+      .setAttribute('kernelMatrix', `0 ${-k} 0 ${-k} ${1 + 4 * k} ${-k} 0 ${-k} 0`);
+  }
+
+  /**
+   * Remove the sharpen filter's SVG, if one was made
+   */
+  function removeSharpenFilter() {
+    if (sharpenFilter) sharpenFilter.remove();
+    sharpenFilter = null;
+  }
+
+  /**
+   * Filter the current element for the adjustments. Rotation and mirroring are part
+   * of the fit layout (see computeAdjustedLayout).
+   */
+  function applyAdjustmentFilter() {
+    const filter = getAdjustmentFilter();
+
+    updateSharpenFilter(currentElement.ownerDocument);
+    if (filter) {
+      currentElement.style.setProperty('filter', filter, 'important');
+    } else {
+      currentElement.style.removeProperty('filter');
+    }
+  }
+
+  /**
+   * Change one adjustment, or several, and show the result
+   */
+  function setAdjustments(changes) {
+    adjustments = { ...adjustments, ...changes };
+    if (['rotate', 'flipX', 'flipY'].some(key => key in changes)) {
+      panOffset = { x: 0, y: 0 };
+    }
+    layoutTarget();
+    syncAdjustPanel();
+    saveAdjustments();
+  }
+
+  /**
+   * Turn the picture a quarter turn either way
+   */
+  function rotateAdjustment(step) {
+    setAdjustments({ rotate: (adjustments.rotate + step * 90 + 360) % 360 });
+  }
+
+  /**
+   * Remember the adjustments for this site, if the user asked for that. They go to
+   * storage.local, as sliders save them over and over.
+   */
+  function saveAdjustments() {
+    if (!siteSettings.rememberAdjustments) return;
+
+    clearTimeout(adjustSaveTimeout);
+    adjustSaveTimeout = setTimeout(() => {
+      PaneFullscreenSettings.updateSiteSettings(getSiteHostname(), { adjustments }).catch(() => {});
+    }, ADJUST_SAVE_DELAY);
+  }
+
+  /**
+   * Turn remembering the adjustments for this site on or off. Turning it off forgets them.
+   */
+  function setRememberAdjustments(remember) {
+    siteSettings = { ...siteSettings, rememberAdjustments: remember };
+    PaneFullscreenSettings.updateSiteSettings(getSiteHostname(), {
+      rememberAdjustments: remember,
+      adjustments: remember ? adjustments : null
+    }).catch(() => {});
+  }
+
+  /**
+   * Open or close the adjustments panel: picture sliders, rotation and mirroring,
+   * remembering them for the site, and a reset
+   */
+  function toggleAdjustPanel() {
+    if (adjustPanel) {
+      closeAdjustPanel();
+      return;
+    }
+    if (!overlay) return;
+
+    closePaneMenu();
+    closeAudioPanel();
+    adjustPanel = document.createElement('div');
+    adjustPanel.className = 'pane-fullscreen-adjust';
+    adjustPanel.addEventListener('click', (e) => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.className = 'pane-fullscreen-menu-title';
+    title.textContent = 'Adjustments';
+    adjustPanel.appendChild(title);
+
+    ADJUSTMENT_SLIDERS.forEach(slider => {
+      const row = document.createElement('label');
+      const name = document.createElement('span');
+      const input = document.createElement('input');
+      const value = document.createElement('output');
+
+      row.className = 'pane-fullscreen-adjust-row';
+      name.textContent = slider.label;
+      input.type = 'range';
+      input.min = slider.min;
+      input.max = slider.max;
+      input.step = slider.step;
+      input.dataset.adjustment = slider.key;
+      input.addEventListener('input', () => setAdjustments({ [slider.key]: Number(input.value) }));
+
+      row.appendChild(name);
+      row.appendChild(input);
+      row.appendChild(value);
+      adjustPanel.appendChild(row);
+    });
+
+    const turns = document.createElement('div');
+    turns.className = 'pane-fullscreen-adjust-buttons';
+    [
+      ['Rotate left', () => rotateAdjustment(-1)],
+      ['Rotate right', () => rotateAdjustment(1)],
+      ['Mirror', () => setAdjustments({ flipX: !adjustments.flipX }), 'flipX'],
+      ['Flip', () => setAdjustments({ flipY: !adjustments.flipY }), 'flipY']
+    ].forEach(([label, onClick, key]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      if (key) button.dataset.adjustment = key;
+      button.addEventListener('click', onClick);
+      turns.appendChild(button);
+    });
+    adjustPanel.appendChild(turns);
+
+    const footer = document.createElement('div');
+    footer.className = 'pane-fullscreen-adjust-footer';
+
+    const remember = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !!siteSettings.rememberAdjustments;
+    checkbox.addEventListener('change', () => setRememberAdjustments(checkbox.checked));
+    remember.appendChild(checkbox);
+    remember.appendChild(document.createTextNode('Remember for this site'));
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => setAdjustments(DEFAULT_ADJUSTMENTS));
+
+    footer.appendChild(remember);
+    footer.appendChild(reset);
+    adjustPanel.appendChild(footer);
+
+    overlay.appendChild(adjustPanel);
+    syncAdjustPanel();
+  }
+
+  /**
+   * Show the current adjustments in the panel
+   */
+  function syncAdjustPanel() {
+    if (!adjustPanel) return;
+
+    ADJUSTMENT_SLIDERS.forEach(slider => {
+      const input = adjustPanel.querySelector(`input[data-adjustment="${slider.key}"]`);
+      input.value = adjustments[slider.key];
+      input.nextElementSibling.textContent = slider.format(adjustments[slider.key]);
+    });
+    ['flipX', 'flipY'].forEach(key => {
+      adjustPanel.querySelector(`button[data-adjustment="${key}"]`).classList.toggle('active', adjustments[key]);
+    });
+  }
+
+  /**
+   * Close the adjustments panel
+   */
+  function closeAdjustPanel() {
+    if (adjustPanel) adjustPanel.remove();
+    adjustPanel = null;
+  }
+
+  /**
+   * Check whether the audio settings change anything
+   */
+  function isAudioEnhanced() {
+    return !!audioSettings && (audioSettings.boost !== 1 || audioSettings.nightMode || audioSettings.mono);
+  }
+
+  /**
+   * Check whether a media element's sound can go through Web Audio. Sound from
+   * another origin that wasn't loaded with CORS comes out of the graph as silence.
+   */
+  function canRouteAudio(media) {
+    if (media.srcObject) return true;
+
+    const src = media.currentSrc || media.src;
+    if (!src) return true;
+
+    const url = new URL(src, location.href);
+    if (url.protocol === 'blob:' || url.protocol === 'data:' || url.origin === location.origin) return true;
+
+    // A crossorigin attribute means the source only loaded if its server allowed it
+    return media.crossOrigin !== null;
+  }
+
+  /**
+   * Say why a media element's sound can't be changed, or return null if it can. An
+   * element the page gave to its own Web Audio graph (marked by fullscreen-hook.js)
+   * can't be given a second one.
+   */
+  function getAudioRoutingProblem(media) {
+    if (audioGraphs.has(media)) return null;
+    if (media.hasAttribute(AUDIO_ROUTED_ATTRIBUTE)) return PAGE_ROUTED_AUDIO_MESSAGE;
+    return canRouteAudio(media) ? null : UNROUTABLE_AUDIO_MESSAGE;
+  }
+
+  /**
+   * Get a media element's Web Audio nodes, making them the first time. An element
+   * can only ever be given one source node, so its graph is kept and reused by later
+   * sessions, and turned into a plain pass-through in between.
+   */
+  function getAudioGraph(media) {
+    let graph = audioGraphs.get(media);
+    if (graph) return graph;
+
+    if (!audioContext) {
+      audioContext = new AudioContext();
+
+      // Media with a graph only plays through the context, pass-through or not
+      audioContext.addEventListener('statechange', resumeAudioContext);
+    }
+
+    const compressor = audioContext.createDynamicsCompressor();
+    compressor.threshold.value = -40;
+    compressor.knee.value = 30;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+
+    // Mixing down to one channel here plays it on both speakers at the destination
+    const mono = audioContext.createGain();
+    mono.channelCount = 1;
+    mono.channelCountMode = 'explicit';
+    mono.channelInterpretation = 'speakers';
+
+    graph = {
+      source: audioContext.createMediaElementSource(media),
+      boost: audioContext.createGain(),
+      compressor,
+      mono
+    };
+    audioGraphs.set(media, graph);
+    return graph;
+  }
+
+  /**
+   * Wire a media element's graph for the audio settings, or, when bypassed, as a
+   * transparent pass-through: straight to the speakers at 100%, stereo and
+   * uncompressed, so the page sounds as it did before
+   */
+  function connectAudioGraph(graph, enhanced) {
+    const { source, boost, compressor, mono } = graph;
+    const chain = enhanced
+      ? [boost, audioSettings.nightMode && compressor, audioSettings.mono && mono].filter(Boolean)
+      : [];
+
+    [source, boost, compressor, mono].forEach(node => node.disconnect());
+    boost.gain.value = enhanced ? audioSettings.boost : 1;
+    [source, ...chain].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    }).connect(audioContext.destination);
+    resumeAudioContext();
+  }
+
+  /**
+   * Keep the audio context running. The key press or click that changed a setting
+   * lets a suspended context start.
+   */
+  function resumeAudioContext() {
+    if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+  }
+
+  /**
+   * Send the heard media's sound through the audio settings, and put media routed
+   * before back to normal. Media is left alone until a setting is changed. Returns a
+   * message if the sound can't be changed.
+   */
+  function updateAudioRouting() {
+    const media = isActive && isAudioEnhanced() ? getActiveMedia() : null;
+
+    if (routedMedia && routedMedia !== media) {
+      connectAudioGraph(audioGraphs.get(routedMedia), false);
+      routedMedia = null;
+    }
+    if (!media) return null;
+
+    const problem = getAudioRoutingProblem(media);
+    if (problem) return problem;
+
+    try {
+      connectAudioGraph(getAudioGraph(media), true);
+    } catch (error) {
+      // The page may have given the element to its own graph before the hook was in place
+      return `The sound of this video can't be changed (${error.message})`;
+    }
+    routedMedia = media;
+    return null;
+  }
+
+  /**
+   * Change the audio settings and show the new level. A cross-origin player changes
+   * them in its own frame, next to its video.
+   */
+  function setAudioSettings(changes) {
+    const previous = audioSettings;
+    audioSettings = { ...audioSettings, ...changes };
+
+    if (frameSession) {
+      postToFrame(frameSession.iframe.contentWindow, { type: 'audio', changes });
+    } else if (!getActiveMedia()) {
+      audioSettings = previous;
+      showHint('The sound of this pane can\'t be changed from here', 4000);
+    } else {
+      const error = updateAudioRouting();
+      if (error) {
+        audioSettings = previous;
+        updateAudioRouting();
+        showHint(error, 4000);
+      } else if ('boost' in changes) {
+        showIndicator('volume', `Boost ${Math.round(audioSettings.boost * 100)}%`);
+      } else if ('nightMode' in changes) {
+        showIndicator('volume', audioSettings.nightMode ? 'Night mode on' : 'Night mode off');
+      } else if ('mono' in changes) {
+        showIndicator('volume', audioSettings.mono ? 'Mono' : 'Stereo');
+      }
+    }
+
+    syncAudioPanel();
+  }
+
+  /**
+   * Move on to the next volume boost step, back to 100% after the last
+   */
+  function cycleAudioBoost() {
+    const boost = AUDIO_BOOST_STEPS.find(step => step > audioSettings.boost) || 1;
+    setAudioSettings({ boost });
+  }
+
+  /**
+   * Put the page's sound back to normal at the end of a session, turning the routed
+   * media's graph into a pass-through (see connectAudioGraph)
+   */
+  function resetAudio() {
+    audioSettings = null;
+    updateAudioRouting();
+  }
+
+  /**
+   * Open or close the sound panel: volume boost, night mode, mono and a reset
+   */
+  function toggleAudioPanel() {
+    if (audioPanel) {
+      closeAudioPanel();
+      return;
+    }
+    if (!overlay) return;
+
+    closePaneMenu();
+    closeAdjustPanel();
+    audioPanel = document.createElement('div');
+    audioPanel.className = 'pane-fullscreen-adjust';
+    audioPanel.addEventListener('click', (e) => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.className = 'pane-fullscreen-menu-title';
+    title.textContent = 'Sound';
+    audioPanel.appendChild(title);
+
+    const row = document.createElement('label');
+    const name = document.createElement('span');
+    const input = document.createElement('input');
+    const value = document.createElement('output');
+
+    row.className = 'pane-fullscreen-adjust-row';
+    name.textContent = 'Volume boost';
+    input.type = 'range';
+    input.min = 1;
+    input.max = MAX_AUDIO_BOOST;
+    input.step = 0.25;
+    input.dataset.audio = 'boost';
+    input.addEventListener('input', () => setAudioSettings({ boost: Number(input.value) }));
+
+    row.appendChild(name);
+    row.appendChild(input);
+    row.appendChild(value);
+    audioPanel.appendChild(row);
+
+    const toggles = document.createElement('div');
+    toggles.className = 'pane-fullscreen-adjust-buttons';
+    [['Night mode', 'nightMode'], ['Mono', 'mono']].forEach(([label, key]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.dataset.audio = key;
+      button.addEventListener('click', () => setAudioSettings({ [key]: !audioSettings[key] }));
+      toggles.appendChild(button);
+    });
+    audioPanel.appendChild(toggles);
+
+    const footer = document.createElement('div');
+    footer.className = 'pane-fullscreen-adjust-footer';
+
+    // Say up front when the sound can't be changed, rather than on every click
+    const note = document.createElement('span');
+    note.className = 'pane-fullscreen-adjust-note';
+    const media = getActiveMedia();
+    if (!frameSession && !media) {
+      note.textContent = 'The sound of this pane can\'t be changed from here';
+    } else if (media && getAudioRoutingProblem(media)) {
+      note.textContent = getAudioRoutingProblem(media);
+    }
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => setAudioSettings(DEFAULT_AUDIO_SETTINGS));
+
+    footer.appendChild(note);
+    footer.appendChild(reset);
+    audioPanel.appendChild(footer);
+
+    overlay.appendChild(audioPanel);
+    syncAudioPanel();
+  }
+
+  /**
+   * Show the current audio settings in the panel
+   */
+  function syncAudioPanel() {
+    if (!audioPanel || !audioSettings) return;
+
+    const input = audioPanel.querySelector('input[data-audio="boost"]');
+    input.value = audioSettings.boost;
+    input.nextElementSibling.textContent = `${Math.round(audioSettings.boost * 100)}%`;
+    ['nightMode', 'mono'].forEach(key => {
+      audioPanel.querySelector(`button[data-audio="${key}"]`).classList.toggle('active', audioSettings[key]);
+    });
+  }
+
+  /**
+   * Close the sound panel
+   */
+  function closeAudioPanel() {
+    if (audioPanel) audioPanel.remove();
+    audioPanel = null;
+  }
+
+  /**
+   * Describe where this page's session is, for its playback record: the video's
+   * position, speed and volume, how it is fitted and whether pane fullscreen is on
+   */
+  function getPlaybackSnapshot() {
+    const snapshot = { active: isActive, fitMode, title: document.title };
+    const media = getActiveMedia();
+    if (!media) return snapshot;
+
+    // Live streams have no position worth coming back to
+    if (Number.isFinite(media.duration) && media.duration > 0) {
+      snapshot.position = media.currentTime;
+      snapshot.duration = media.duration;
+    }
+    snapshot.speed = media.playbackRate;
+    snapshot.volume = media.volume;
+    snapshot.muted = media.muted;
+    return snapshot;
+  }
+
+  /**
+   * Save this page's playback record. While the resume prompt is up, the position it
+   * offers is kept.
+   */
+  function savePlaybackRecord(changes = {}) {
+    const record = { ...getPlaybackSnapshot(), ...changes };
+    if (resumePrompt) {
+      delete record.position;
+      delete record.duration;
+    }
+
+    const json = JSON.stringify(record);
+    if (json === savedRecord) return;
+    savedRecord = json;
+
+    PaneFullscreenSettings.updatePlaybackRecord(location.href, record).catch(() => {});
+  }
+
+  /**
+   * Apply this page's playback record to a session that just started and keep it up
+   * to date. The position is offered in a prompt, or restored right away when
+   * re-entering after a reload.
+   */
+  async function startPlaybackHistory(resumePosition) {
+    const record = await PaneFullscreenSettings.getPlaybackRecord(location.href).catch(() => null);
+    if (!isActive) return;
+
+    const media = getActiveMedia();
+    if (record) {
+      if (PaneFullscreenSettings.FIT_MODES.includes(record.fitMode) && record.fitMode !== fitMode && !frameSession) {
+        fitMode = record.fitMode;
+        layoutTarget();
+      }
+      if (media && record.speed) media.playbackRate = record.speed;
+      if (media && typeof record.volume === 'number') {
+        media.volume = record.volume;
+        media.muted = !!record.muted;
+      }
+      if (media && canResumeAt(media, record)) {
+        if (resumePosition) {
+          media.currentTime = record.position;
+          showHint(`Resumed at ${formatTime(record.position)}`);
+        } else {
+          showResumePrompt(media, record.position);
+        }
+      }
+    }
+
+    clearInterval(historyTimer);
+    savedRecord = null;
+    historyTimer = setInterval(() => savePlaybackRecord(), HISTORY_SAVE_INTERVAL);
+    savePlaybackRecord();
+  }
+
+  /**
+   * Stop keeping this page's playback record, saving it one last time
+   */
+  function stopPlaybackHistory() {
+    if (!historyTimer) return;
+
+    clearInterval(historyTimer);
+    historyTimer = null;
+    savePlaybackRecord({ active: false });
+    closeResumePrompt();
+  }
+
+  /**
+   * Stop keeping this page's playback record without saving it, when it was
+   * forgotten on the settings page
+   */
+  function handlePlaybackRecordRemoved(changes) {
+    const change = changes[PaneFullscreenSettings.getHistoryStorageKey(location.href)];
+    if (!historyTimer || !change || change.newValue !== undefined) return;
+
+    clearInterval(historyTimer);
+    historyTimer = null;
+  }
+
+  /**
+   * Check whether a saved position is worth offering: not at the very start or end,
+   * and not where the video already is
+   */
+  function canResumeAt(media, record) {
+    if (!(record.position > RESUME_MIN_POSITION)) return false;
+    if (record.position > record.duration - RESUME_MIN_POSITION) return false;
+    return Math.abs(media.currentTime - record.position) > RESUME_MIN_POSITION;
+  }
+
+  /**
+   * Offer to jump back to where the video was left off
+   */
+  function showResumePrompt(media, position) {
+    closeResumePrompt();
+
+    const element = document.createElement('div');
+    element.className = 'pane-fullscreen-resume';
+
+    const text = document.createElement('span');
+    text.textContent = `Resume from ${formatTime(position)}?`;
+
+    const resume = document.createElement('button');
+    resume.className = 'pane-fullscreen-resume-accept';
+    resume.textContent = 'Resume';
+    resume.addEventListener('click', () => {
+      media.currentTime = position;
+      closeResumePrompt();
+    });
+
+    const dismiss = document.createElement('button');
+    dismiss.textContent = 'Start over';
+    dismiss.addEventListener('click', () => closeResumePrompt());
+
+    element.appendChild(text);
+    element.appendChild(resume);
+    element.appendChild(dismiss);
+    overlay.appendChild(element);
+
+    resumePrompt = {
+      element,
+      timeout: setTimeout(() => closeResumePrompt(), RESUME_PROMPT_DURATION)
+    };
+  }
+
+  /**
+   * Close the resume prompt, if open
+   */
+  function closeResumePrompt() {
+    if (!resumePrompt) return;
+
+    clearTimeout(resumePrompt.timeout);
+    resumePrompt.element.remove();
+    resumePrompt = null;
+  }
+
+  /**
+   * Enter pane fullscreen mode for any element (video, iframe, or container)
+   */
+  function enterPaneFullscreen(element, type = 'video', options = {}) {
+    if (!element) {
+      console.warn('Pane Fullscreen: No element provided');
+      return false;
+    }
+
+    if (isActive) {
+      exitPaneFullscreen();
+    }
+
+    // Rank the alternatives before anything moves
+    candidates = buildCandidateList(element, type);
+    candidateIndex = candidates.findIndex(candidate => candidate.element === element);
+
+    // Start in the fit mode last used on this site
+    fitMode = PaneFullscreenSettings.FIT_MODES.includes(siteSettings.fitMode) ? siteSettings.fitMode : 'contain';
+    zoomLevel = DEFAULT_ZOOM;
+
+    // Picture adjustments start over, unless the site remembers them
+    adjustments = siteSettings.rememberAdjustments
+      ? { ...DEFAULT_ADJUSTMENTS, ...siteSettings.adjustments }
+      : { ...DEFAULT_ADJUSTMENTS };
+    audioSettings = { ...DEFAULT_AUDIO_SETTINGS };
+
+    // Create overlay
+    createOverlay();
+    attachTarget(element, type, options);
+    updateCandidateButtons();
+
+    isActive = true;
+    notifySessionChanged();
+    startPlaybackHistory(!!options.resumePosition);
+    startIdleTracking();
+
+    // Focus overlay for keyboard events
+    overlay.focus();
+
+    // Trigger animation (the session may already be over by the next frame)
+    requestAnimationFrame(() => {
+      [overlay, backdrop].forEach(layer => layer && layer.classList.add('active'));
+    });
+
+    return true;
+  }
+
+  /**
+   * Exit pane fullscreen mode
+   */
+  function exitPaneFullscreen() {
+    endFrameSessions();
+
+    if (!isActive) return;
+
+    stopPlaybackHistory();
+    stopIdleTracking();
+    clearSleepTimer();
+    resetAudio();
+    removeExtraPanes();
+    detachTarget();
+    removeSharpenFilter();
+
+    // Remove overlay
+    removeOverlay();
+
+    // Reset state
+    isActive = false;
+    inRealFullscreen = false;
+    candidates = [];
+    candidateIndex = -1;
+    notifySessionChanged();
+
+    // Let the main-world hook clear any fullscreen state it reported to the page
+    document.dispatchEvent(new CustomEvent(FULLSCREEN_EXITED_EVENT));
+  }
+
+  /**
+   * Enable element selection mode: number every candidate, outline the one under the
+   * pointer and pick it by clicking, by its number or with Tab and Enter. A transparent
+   * layer takes the pointer, so player control layers and iframes can't swallow the click.
+   */
+  function enableSelectMode() {
+    disableSelectMode();
+
+    // Best first, so 1 is what auto-detect would pick
+    const entries = getAllSelectableElements()
+      .map(candidate => ({ ...candidate, score: getElementScore(candidate.element) }))
+      .sort((a, b) => b.score - a.score);
+    if (entries.length === 0) return 0;
+
+    const layer = document.createElement('div');
+    layer.className = 'pane-fullscreen-select';
+
+    entries.forEach((entry, index) => {
+      entry.box = document.createElement('div');
+      entry.box.className = 'pane-fullscreen-select-box';
+
+      if (index < 9) {
+        const badge = document.createElement('span');
+        badge.className = 'pane-fullscreen-select-badge';
+        badge.textContent = index + 1;
+        entry.box.appendChild(badge);
+      }
+      layer.appendChild(entry.box);
+    });
+
+    const label = document.createElement('div');
+    label.className = 'pane-fullscreen-select-label';
+    label.hidden = true;
+
+    const banner = document.createElement('div');
+    banner.className = 'pane-fullscreen-select-banner';
+    const message = document.createElement('span');
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', disableSelectMode);
+    banner.appendChild(message);
+    banner.appendChild(cancel);
+
+    layer.appendChild(label);
+    layer.appendChild(banner);
+    document.body.appendChild(layer);
+
+    selectState = { layer, label, entries, current: null };
+
+    // Keep the outlines on their elements as the page scrolls
+    const reposition = () => {
+      entries.forEach(entry => {
+        const rect = getViewportRect(entry.element);
+        Object.assign(entry.box.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        entry.box.hidden = !entry.element.isConnected || rect.width === 0 || rect.height === 0;
+      });
+      setSelectTarget(selectState.current);
+    };
+
+    // One handler for every pointer event, so the page never sees them while selecting
+    const handlePointer = (e) => {
+      if (banner.contains(e.target)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+
+      const entry = findCandidateAt(null, e.clientX, e.clientY, entries);
+      if (e.type === 'click') {
+        if (entry) handleElementSelect(entry.element, entry.type);
+      } else {
+        setSelectTarget(entry);
+      }
+    };
+
+    const handleKey = (e) => {
+      const current = entries.indexOf(selectState.current);
+
+      if (e.key === 'Escape') {
+        disableSelectMode();
+      } else if (/^[1-9]$/.test(e.key) && entries[e.key - 1]) {
+        handleElementSelect(entries[e.key - 1].element, entries[e.key - 1].type);
+      } else if (e.key === 'Tab') {
+        const step = e.shiftKey ? -1 : 1;
+        const start = current === -1 && step === -1 ? 0 : current;
+        setSelectTarget(entries[(start + step + entries.length) % entries.length]);
+      } else if (e.key === 'Enter' && selectState.current) {
+        handleElementSelect(selectState.current.element, selectState.current.type);
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+    };
+
+    // Count down out loud instead of timing out silently
+    let remaining = SELECT_TIMEOUT;
+    const tick = () => {
+      if (remaining === 0) {
+        disableSelectMode();
+        return;
+      }
+      message.textContent = `Click a video or player, or press its number (Tab and Enter also work) · ${remaining}s`;
+      remaining--;
+    };
+    tick();
+    const countdown = setInterval(tick, 1000);
+
+    const pointerEvents = ['pointermove', 'pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick'];
+    pointerEvents.forEach(type => document.addEventListener(type, handlePointer, true));
+    window.addEventListener('keydown', handleKey, true);
+    window.addEventListener('scroll', reposition, true);
+    window.addEventListener('resize', reposition);
+    reposition();
+
+    selectState.cleanup = () => {
+      pointerEvents.forEach(type => document.removeEventListener(type, handlePointer, true));
+      window.removeEventListener('keydown', handleKey, true);
+      window.removeEventListener('scroll', reposition, true);
+      window.removeEventListener('resize', reposition);
+      clearInterval(countdown);
+      layer.remove();
+    };
+
+    return entries.length;
+  }
+
+  /**
+   * Outline a select mode candidate and label it with its number, type and size
+   */
+  function setSelectTarget(entry) {
+    const { layer, label, entries } = selectState;
+
+    if (selectState.current) selectState.current.box.classList.remove('current');
+    selectState.current = entry && !entry.box.hidden ? entry : null;
+    layer.classList.toggle('pointing', !!selectState.current);
+    label.hidden = !selectState.current;
+    if (!selectState.current) return;
+
+    const rect = getViewportRect(entry.element);
+    entry.box.classList.add('current');
+    label.textContent = `${entries.indexOf(entry) + 1} · ${TYPE_LABELS[entry.type]} · ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+    label.style.left = `${Math.max(0, rect.left)}px`;
+    label.style.top = `${Math.max(0, rect.top - 26)}px`;
+  }
+
+  /**
+   * Handle element selection
+   */
+  function handleElementSelect(element, type) {
+    disableSelectMode();
+    if (element.isConnected) enterPaneFullscreen(element, type);
+  }
+
+  /**
+   * Disable element selection mode
+   */
+  function disableSelectMode() {
+    if (!selectState) return;
+
+    selectState.cleanup();
+    selectState = null;
+  }
+
+  /**
+   * Enable pick mode for any element, for canvases, embeds, images, charts, code blocks
+   * and slides that detection doesn't know. The element under the pointer is outlined;
+   * the scroll wheel or arrow keys move the outline out to its ancestors and back in.
+   */
+  function enablePickMode() {
+    disableSelectMode();
+
+    const layer = document.createElement('div');
+    layer.className = 'pane-fullscreen-select';
+
+    const box = document.createElement('div');
+    box.className = 'pane-fullscreen-select-box current';
+    box.hidden = true;
+
+    const label = document.createElement('div');
+    label.className = 'pane-fullscreen-select-label';
+    label.hidden = true;
+
+    const banner = document.createElement('div');
+    banner.className = 'pane-fullscreen-select-banner';
+    const message = document.createElement('span');
+    message.textContent = 'Point at anything · Scroll or ↑/↓ to pick a bigger or smaller part · Click or Enter to expand';
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', disableSelectMode);
+    banner.appendChild(message);
+    banner.appendChild(cancel);
+
+    layer.appendChild(box);
+    layer.appendChild(label);
+    layer.appendChild(banner);
+    document.body.appendChild(layer);
+
+    // path runs from the hovered element out to the body's child; level indexes the outlined one
+    selectState = { layer, box, label, path: [], level: 0 };
+
+    const pick = () => {
+      const element = selectState.path[selectState.level];
+      if (!element) return;
+
+      disableSelectMode();
+      enterPaneFullscreen(element, getPickedType(element));
+    };
+
+    const handlePointer = (e) => {
+      if (banner.contains(e.target)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+
+      if (e.type === 'click') {
+        pick();
+      } else if (e.type === 'wheel') {
+        changePickLevel(e.deltaY < 0 ? 1 : -1);
+      } else if (e.type === 'pointermove') {
+        setPickPath(getPickPath(e.clientX, e.clientY));
+      }
+    };
+
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        disableSelectMode();
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        changePickLevel(1);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        changePickLevel(-1);
+      } else if (e.key === 'Enter') {
+        pick();
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+    };
+
+    const reposition = () => changePickLevel(0);
+
+    const pointerEvents = ['pointermove', 'pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick', 'wheel'];
+    pointerEvents.forEach(type => document.addEventListener(type, handlePointer, { capture: true, passive: false }));
+    window.addEventListener('keydown', handleKey, true);
+    window.addEventListener('scroll', reposition, true);
+    window.addEventListener('resize', reposition);
+
+    selectState.cleanup = () => {
+      pointerEvents.forEach(type => document.removeEventListener(type, handlePointer, { capture: true }));
+      window.removeEventListener('keydown', handleKey, true);
+      window.removeEventListener('scroll', reposition, true);
+      window.removeEventListener('resize', reposition);
+      layer.remove();
+    };
+  }
+
+  /**
+   * Get the element under a point and its ancestors, innermost first, stopping below
+   * the body. Open shadow roots are looked into, since they hide their insides from
+   * the document's hit test.
+   */
+  function getPickPath(x, y) {
+    let target = document.elementsFromPoint(x, y).find(element => !selectState.layer.contains(element));
+
+    while (target && target.shadowRoot) {
+      const inner = target.shadowRoot.elementsFromPoint(x, y)
+        .find(element => element !== target && containsDeep(target, element));
+      if (!inner) break;
+      target = inner;
+    }
+
+    const path = [];
+    for (let node = target; node; node = getParentAcross(node)) {
+      if (node === document.body || node === document.documentElement) break;
+      path.push(node);
+    }
+    return path;
+  }
+
+  /**
+   * Outline the element at the same distance from the body as before, if the new path
+   * is as deep; otherwise start again from the innermost element
+   */
+  function setPickPath(path) {
+    const { path: previous, level } = selectState;
+    const sameTrunk = previous.length > 0 && path.length === previous.length && path[0] === previous[0];
+
+    selectState.path = path;
+    selectState.level = sameTrunk ? level : 0;
+    changePickLevel(0);
+  }
+
+  /**
+   * Move the pick mode outline out to an ancestor (step 1) or back in (step -1)
+   */
+  function changePickLevel(step) {
+    const { box, label, path } = selectState;
+
+    selectState.level = Math.max(0, Math.min(path.length - 1, selectState.level + step));
+    const element = path[selectState.level];
+
+    box.hidden = label.hidden = !element;
+    if (!element) return;
+
+    const rect = getViewportRect(element);
+    Object.assign(box.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    label.textContent = `${describeElement(element)} · ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+    label.style.left = `${Math.max(0, rect.left)}px`;
+    label.style.top = `${Math.max(0, rect.top - 26)}px`;
+  }
+
+  /**
+   * Get the pane fullscreen type for a picked element. Videos and iframes keep their
+   * usual handling; anything else is expanded as a plain element.
+   */
+  function getPickedType(element) {
+    const type = getElementType(element);
+    return type === 'container' ? 'element' : type;
+  }
+
+  /**
+   * Describe an element for diagnostics, e.g. "video#main.player-video"
+   */
+  function describeElement(element) {
+    const classes = Array.from(element.classList)
+      .filter(name => !name.startsWith('pane-fullscreen'))
+      .slice(0, 3);
+    
+    return element.tagName.toLowerCase() +
+      (element.id ? `#${element.id}` : '') +
+      classes.map(name => `.${name}`).join('');
+  }
+
+  /**
+   * Get an element's box in the top-level viewport, adding the offsets of the
+   * same-origin frames it sits in
+   */
+  function getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+
+    for (let frame = element.ownerDocument.defaultView.frameElement; frame; frame = frame.ownerDocument.defaultView.frameElement) {
+      const frameRect = frame.getBoundingClientRect();
+      left += frameRect.left + frame.clientLeft;
+      top += frameRect.top + frame.clientTop;
+    }
+
+    return { left, top, width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Explain why an element that passed detection still scores 0
+   */
+  function describeVisibility(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return 'Hidden (no size)';
+    if (!getVisibleArea(element)) return 'Off-screen';
+    return null;
+  }
+
+  /**
+   * Examine every element detection looks at: what matched, what was dropped and
+   * why, how each one scored, and which one auto-detect would pick
+   */
+  async function collectDiagnostics() {
+    const [best, frameReports] = await Promise.all([findBestPlayableElement(), queryFrameVideos()]);
+    const entries = [];
+
+    const addEntry = (element, type, classification) => {
+      const { area, factors, score } = getScoreBreakdown(element);
+      const rect = getViewportRect(element);
+      const notes = [];
+      const visibility = describeVisibility(element);
+
+      if (classification.accepted && visibility) {
+        notes.push(`${visibility}, so it scores 0`);
+      }
+
+      const resolved = type !== 'iframe' && resolveAdapter(element);
+      if (resolved) {
+        notes.push(`Expanded as the ${resolved.adapter.name} player (${describeElement(resolved.target)})`);
+      }
+
+      const entry = {
+        element,
+        type,
+        description: describeElement(element),
+        src: element.currentSrc || element.src || null,
+        accepted: classification.accepted,
+        reason: classification.reason,
+        notes,
+        rect: {
+          left: Math.round(rect.left),
+          top: Math.round(rect.top),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        },
+        area: Math.round(area),
+        factors,
+        score: Math.round(score),
+        best: !!best && best.element === element
+      };
+
+      if (type === 'iframe' && isCrossOriginFrame(element)) {
+        const report = frameReports.find(candidate => candidate.iframe === element);
+        entry.frameVideos = report ? report.videos : null;
+        notes.push(report
+          ? `Cross-origin: the frame reported ${report.videos.length} playable video(s)`
+          : 'Cross-origin: the frame did not answer (it may block extensions or still be loading)');
+      }
+
+      entries.push(entry);
+    };
+
+    deepQuerySelectorAll('video').forEach(video => {
+      addEntry(video, 'video', isExcluded(video)
+        ? { accepted: false, reason: `Excluded by ${findMatchingSelector(video, exclusionSelectors)}` }
+        : { accepted: true, reason: 'Video element' });
+    });
+
+    deepQuerySelectorAll('iframe').forEach(iframe => addEntry(iframe, 'iframe', classifyIframe(iframe)));
+
+    if (containerSelector) {
+      deepQuerySelectorAll(containerSelector).forEach(container => {
+        addEntry(container, 'container', classifyContainer(container));
+      });
+    }
+
+    // Containers around a detected iframe aren't offered separately (see getAllSelectableElements)
+    entries.forEach(entry => {
+      if (entry.type !== 'container' || !entry.accepted) return;
+      
+      const iframe = entries.find(other => other.type === 'iframe' && other.accepted && containsDeep(entry.element, other.element));
+      if (iframe) {
+        entry.notes.push(`Not offered separately: holds ${iframe.description}, which is offered instead`);
+      }
+    });
+
+    if (siteSettings.preferredSelector) {
+      const preferred = findPreferredElement();
+      entries.forEach(entry => {
+        if (preferred && entry.element === preferred.element) {
+          entry.notes.push(`Preferred element for this site (${siteSettings.preferredSelector})`);
+        }
+      });
+    }
+
+    return { entries, best };
+  }
+
+  /**
+   * Build the JSON report for a diagnostics run
+   */
+  function buildDiagnosticsReport(entries, best) {
+    const bestEntry = best && entries.find(entry => entry.element === best.element);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest().version,
+      url: location.href,
+      site: PaneFullscreenSettings.getSiteKey(getSiteHostname()),
+      userAgent: navigator.userAgent,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      siteSettings,
+      adapters: adapters.map(adapter => adapter.name),
+      detectionRules: {
+        iframePatterns: iframePatterns.map(String),
+        containerSelectors,
+        exclusionSelectors
+      },
+      best: best
+        ? {
+          type: best.type,
+          element: bestEntry ? bestEntry.description : describeElement(best.element),
+          frameVideoIndex: best.frameVideoIndex
+        }
+        : null,
+      candidates: entries.map(({ element, box, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Save the diagnostics report as a JSON file
+   */
+  function downloadDiagnosticsReport(report) {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = `pane-fullscreen-diagnostics-${report.site || 'page'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * Write a score as its breakdown, e.g. "230,400 px² × 2 playing = 460,800"
+   */
+  function formatScore(entry) {
+    if (!entry.area) return 'Score 0';
+    
+    const parts = [`${entry.area.toLocaleString()} px²`]
+      .concat(entry.factors.map(factor => `× ${factor.multiplier} ${factor.label}`));
+    
+    return entry.factors.length > 0
+      ? `${parts.join(' ')} = ${entry.score.toLocaleString()}`
+      : `Score ${entry.score.toLocaleString()} (visible area)`;
+  }
+
+  /**
+   * Outline every examined element on the page and list them, with the reasons,
+   * in a side panel that can export the report
+   */
+  async function showDiagnostics() {
+    hideDiagnostics();
+
+    const { entries, best } = await collectDiagnostics();
+    const report = buildDiagnosticsReport(entries, best);
+
+    const layer = document.createElement('div');
+    layer.className = 'pane-fullscreen-diagnostics';
+
+    const panel = document.createElement('div');
+    panel.className = 'pane-fullscreen-diagnostics-panel';
+
+    const title = document.createElement('div');
+    title.className = 'pane-fullscreen-diagnostics-title';
+    title.textContent = 'Detection diagnostics';
+
+    const summary = document.createElement('div');
+    summary.className = 'pane-fullscreen-diagnostics-summary';
+    const bestEntry = entries.find(entry => entry.best);
+    summary.textContent = best
+      ? `Auto-detect picks #${entries.indexOf(bestEntry) + 1}: ${bestEntry ? bestEntry.description : describeElement(best.element)}`
+      : 'Auto-detect finds nothing to expand on this page';
+
+    const list = document.createElement('ol');
+    list.className = 'pane-fullscreen-diagnostics-list';
+
+    entries.forEach((entry, index) => {
+      const status = entry.best ? 'best' : (entry.accepted && entry.score > 0 ? 'candidate' : 'rejected');
+
+      entry.box = document.createElement('div');
+      entry.box.className = `pane-fullscreen-diagnostics-box ${status}`;
+      const label = document.createElement('span');
+      label.textContent = `${index + 1} · ${TYPE_LABELS[entry.type]} · ${entry.score.toLocaleString()}`;
+      entry.box.appendChild(label);
+      layer.appendChild(entry.box);
+
+      const item = document.createElement('li');
+      item.className = status;
+      [
+        `${index + 1}. ${entry.description}`,
+        entry.reason,
+        formatScore(entry),
+        ...entry.notes
+      ].forEach((text, line) => {
+        const row = document.createElement('div');
+        row.className = line === 0 ? 'pane-fullscreen-diagnostics-name' : '';
+        row.textContent = text;
+        item.appendChild(row);
+      });
+      item.addEventListener('mouseenter', () => entry.box.classList.add('highlight'));
+      item.addEventListener('mouseleave', () => entry.box.classList.remove('highlight'));
+      list.appendChild(item);
+    });
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No videos, iframes or player containers on this page.';
+      list.appendChild(empty);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'pane-fullscreen-diagnostics-actions';
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Export JSON';
+    exportBtn.addEventListener('click', () => downloadDiagnosticsReport(report));
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close (ESC)';
+    closeBtn.addEventListener('click', hideDiagnostics);
+    actions.appendChild(exportBtn);
+    actions.appendChild(closeBtn);
+
+    panel.appendChild(title);
+    panel.appendChild(summary);
+    panel.appendChild(list);
+    panel.appendChild(actions);
+    layer.appendChild(panel);
+    document.body.appendChild(layer);
+
+    // Keep the outlines on their elements as the page scrolls
+    const reposition = () => {
+      entries.forEach(entry => {
+        const rect = getViewportRect(entry.element);
+        Object.assign(entry.box.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        entry.box.hidden = !entry.element.isConnected || rect.width === 0 || rect.height === 0;
+      });
+    };
+    reposition();
+    window.addEventListener('scroll', reposition, true);
+    window.addEventListener('resize', reposition);
+
+    diagnostics = { layer, reposition };
+    return entries.length;
+  }
+
+  /**
+   * Remove the diagnostics view
+   */
+  function hideDiagnostics() {
+    if (!diagnostics) return;
+
+    window.removeEventListener('scroll', diagnostics.reposition, true);
+    window.removeEventListener('resize', diagnostics.reposition);
+    diagnostics.layer.remove();
+    diagnostics = null;
+  }
+
+  /**
+   * Capture a small still of a video for the popup, if the page lets us read its pixels
+   */
+  function captureThumbnail(video) {
+    if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) return null;
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMBNAIL_WIDTH;
+      canvas.height = Math.round(THUMBNAIL_WIDTH * video.videoHeight / video.videoWidth);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+      // Cross-origin video served without CORS: its pixels can't be read
+      return null;
+    }
+  }
+
+  /**
+   * Get a human hint for what an element shows: its title, or where it plays from
+   */
+  function getTitleHint(element) {
+    const label = element.getAttribute('title') || element.getAttribute('aria-label');
+    if (label) return label;
+
+    const src = element.currentSrc || element.src || '';
+    if (src.startsWith('blob:') || src.startsWith('data:')) return 'Streamed video';
+
+    try {
+      const url = new URL(src);
+      return url.hostname + url.pathname;
+    } catch (e) {
+      return describeElement(element);
+    }
+  }
+
+  /**
+   * Tell whether an element is playing, or null when that can't be known (cross-origin frames)
+   */
+  function getPlayingState(element) {
+    if (element.tagName === 'VIDEO') return !element.paused && !element.ended;
+    if (element.tagName === 'IFRAME') return isCrossOriginFrame(element) ? null : deepQuerySelectorAll('video', element.contentDocument).some(video => !video.paused);
+
+    const adapter = getAdapterFor(element);
+    if (adapter && adapter.isPlaying) return adapter.isPlaying(element);
+    return deepQuerySelectorAll('video', element).some(video => !video.paused && !video.ended);
+  }
 
-    return { overlay, elementContainer };
+  /**
+   * List every selectable element for the popup, best first. The popup refers to
+   * them by their index in this list.
+   */
+  function listCandidatesForPopup() {
+    listedCandidates = getAllSelectableElements()
+      .map(candidate => ({ ...candidate, score: getElementScore(candidate.element) }))
+      .sort((a, b) => b.score - a.score);
+
+    return listedCandidates.map((candidate, index) => {
+      const rect = candidate.element.getBoundingClientRect();
+      return {
+        index,
+        type: candidate.type,
+        label: TYPE_LABELS[candidate.type],
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        playing: getPlayingState(candidate.element),
+        title: getTitleHint(candidate.element),
+        thumbnail: candidate.type === 'video' ? captureThumbnail(candidate.element) : null,
+        current: getPaneElements().some(shown => containsDeep(shown, candidate.element))
+      };
+    });
   }
 
   /**
-   * Remove the overlay and clean up
+   * Outline a listed candidate on the page while the popup hovers it. Pass a
+   * missing index to clear the outline.
    */
-  function removeOverlay() {
-    const existingOverlay = document.getElementById(OVERLAY_ID);
-    if (existingOverlay) {
-      existingOverlay.remove();
+  function highlightCandidate(index) {
+    if (highlightBox) {
+      highlightBox.remove();
+      highlightBox = null;
     }
-    overlay = null;
-    elementContainer = null;
+
+    const candidate = listedCandidates[index];
+    if (!candidate || !candidate.element.isConnected) return;
+
+    const rect = getViewportRect(candidate.element);
+    highlightBox = document.createElement('div');
+    highlightBox.className = 'pane-fullscreen-highlight';
+    Object.assign(highlightBox.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    document.body.appendChild(highlightBox);
+
+    // The popup can close without saying so; the outline goes once the mouse is back on the page
+    const box = highlightBox;
+    document.addEventListener('pointermove', () => {
+      if (highlightBox === box) highlightCandidate(null);
+    }, { capture: true, once: true });
   }
 
   /**
-   * Enter pane fullscreen mode for any element (video, iframe, or container)
+   * Handle keyboard shortcuts
    */
-  function enterPaneFullscreen(element, type = 'video') {
-    if (!element) {
-      console.warn('Pane Fullscreen: No element provided');
-      return false;
+  function handleKeydown(e) {
+    if (e.key === 'Escape' && diagnostics) {
+      e.preventDefault();
+      e.stopPropagation();
+      hideDiagnostics();
+      return;
     }
 
-    if (isActive) {
+    if (e.key === 'Escape' && (isActive || embeddedSession)) {
+      e.preventDefault();
+      e.stopPropagation();
       exitPaneFullscreen();
+      return;
     }
 
-    // Save original state
-    originalElementState = saveElementState(element);
-    currentElement = element;
+    if (e.key === 'Escape' && autoEnterCountdown) {
+      e.preventDefault();
+      e.stopPropagation();
+      cancelAutoEnter();
+      return;
+    }
 
-    // Create overlay
-    createOverlay();
+    // The countdown runs in the top frame, but the focus may be in a player's frame
+    if (e.key === 'Escape' && !IS_TOP_FRAME && siteSettings.autoEnterOnPlay) {
+      postToFrame(window.parent, { type: 'stayOut' });
+    }
 
-    // Add appropriate class based on type
-    if (type === 'video') {
-      element.classList.add('pane-fullscreen-video');
-    } else if (type === 'iframe') {
-      element.classList.add('pane-fullscreen-iframe');
-    } else {
-      element.classList.add('pane-fullscreen-container');
+    // Leave browser shortcuts and typing on the page alone
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e)) return;
+
+    // From Picture-in-Picture, the same key brings the element back to the pane
+    if (!isActive && pipSession && getBoundAction(PaneFullscreenSettings.normalizeKey(e)) === 'pictureInPicture') {
+      e.preventDefault();
+      e.stopPropagation();
+      togglePictureInPicture();
+      return;
     }
 
-    // Move element to overlay container
-    elementContainer.appendChild(element);
+    if (!isActive) return;
 
-    // For videos, ensure it keeps playing and add controls
-    if (type === 'video') {
-      // Save original controls state and enable native controls
-      originalElementState.hadControls = element.hasAttribute('controls');
-      element.setAttribute('controls', '');
-      
-      // Resume playback if it was playing
-      if (originalElementState.wasPlaying) {
-        element.play().catch(() => {});
-      }
-      
-      // Create and add play/pause indicator
-      playIndicator = createPlayPauseIndicator();
-      elementContainer.appendChild(playIndicator);
-      
-      // Add click-to-pause functionality with debounce and re-enforce logic
-      let lastClickTime = 0;
-      const debounceMs = 300; // Ignore clicks within 300ms of each other
-      
-      videoClickHandler = (e) => {
-        // Don't toggle if clicking on controls (bottom 50px of video)
-        const rect = element.getBoundingClientRect();
-        const clickY = e.clientY - rect.top;
-        const controlsHeight = 50;
-        
-        if (clickY > rect.height - controlsHeight) {
-          return; // Let native controls handle the click
-        }
-        
-        // Debounce: ignore rapid clicks
-        const now = Date.now();
-        if (now - lastClickTime < debounceMs) {
-          e.stopPropagation();
-          e.stopImmediatePropagation();
-          e.preventDefault();
-          return;
-        }
-        lastClickTime = now;
-        
-        // Stop event from reaching other handlers (e.g., Twitter's player)
-        e.stopPropagation();
-        e.stopImmediatePropagation();
-        e.preventDefault();
-        
-        if (element.paused) {
-          element.play().catch(() => {});
-          showPlayPauseIndicator(true);
-        } else {
-          // Pause the video
-          element.pause();
-          showPlayPauseIndicator(false);
-          
-          // Re-enforce pause after delays to combat auto-resume
-          // Some players try to resume after a short delay
-          setTimeout(() => {
-            if (!element.paused) element.pause();
-          }, 50);
-          setTimeout(() => {
-            if (!element.paused) element.pause();
-          }, 150);
-          setTimeout(() => {
-            if (!element.paused) element.pause();
-          }, 300);
-        }
-      };
-      // Use capture phase to intercept before other handlers
-      element.addEventListener('click', videoClickHandler, { capture: true });
+    if (handleActionKey(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
     }
+  }
 
-    isActive = true;
+  /**
+   * Handle a player's fullscreen request redirected by the main-world hook.
+   * Cancelling the event tells the hook we took over. Any page script can fire the
+   * event, so it is only honoured on sites with redirection turned on.
+   */
+  function handleFullscreenRequest(e) {
+    if (!siteSettings.redirectFullscreen) return;
 
-    // Focus overlay for keyboard events
-    overlay.focus();
+    const element = e.composedPath()[0];
+    if (!(element instanceof Element)) return;
 
-    // Trigger animation
-    requestAnimationFrame(() => {
-      overlay.classList.add('active');
-    });
+    if (enterPaneFullscreen(element, getElementType(element))) {
+      e.preventDefault();
+      expandParentFrame();
+    }
+  }
 
-    return true;
+  /**
+   * Remember what was right-clicked, for the extension's context menu
+   */
+  function handleContextMenu(e) {
+    contextMenuTarget = { element: e.composedPath()[0], x: e.clientX, y: e.clientY };
   }
 
   /**
-   * Exit pane fullscreen mode
+   * Find the candidate at a point: the innermost selectable element holding the
+   * clicked element or anything stacked under the cursor (controls drawn over a
+   * video, transparent click shields). Failing that, the smallest candidate whose
+   * box holds the point, for layers that sit outside the player's markup.
    */
-  function exitPaneFullscreen() {
-    if (!isActive) return;
+  function findCandidateAt(target, x, y, selectables = getAllSelectableElements()) {
+    const stack = document.elementsFromPoint(x, y)
+      .filter(element => !selectState || !selectState.layer.contains(element));
+    if (target instanceof Element) stack.unshift(target);
 
-    // Clean up video-specific handlers and controls
-    if (currentElement && originalElementState && originalElementState.type === 'video') {
-      // Remove click handler
-      if (videoClickHandler) {
-        currentElement.removeEventListener('click', videoClickHandler, { capture: true });
-        videoClickHandler = null;
-      }
-      
-      // Restore original controls state
-      if (!originalElementState.hadControls) {
-        currentElement.removeAttribute('controls');
-      }
-    }
-    
-    // Clean up play indicator
-    if (playIndicator) {
-      playIndicator.remove();
-      playIndicator = null;
-    }
+    const holders = selectables.filter(candidate => stack.some(element => containsDeep(candidate.element, element)));
+    const innermost = holders.find(holder =>
+      !holders.some(other => other !== holder && containsDeep(holder.element, other.element))
+    );
+    if (innermost) return innermost;
 
-    // Restore element
-    if (currentElement && originalElementState) {
-      restoreElementState(currentElement, originalElementState);
-      
-      // For videos, resume playback if it was playing
-      if (originalElementState.type === 'video' && originalElementState.wasPlaying) {
-        currentElement.play().catch(() => {});
+    let smallest = null;
+    let smallestArea = Infinity;
+    selectables.forEach(candidate => {
+      const rect = getViewportRect(candidate.element);
+      const area = rect.width * rect.height;
+      const inside = x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height;
+      if (inside && area > 0 && area < smallestArea) {
+        smallest = candidate;
+        smallestArea = area;
       }
+    });
+
+    return smallest;
+  }
+
+  /**
+   * Pane-fullscreen what the context menu was opened on. Without a right-click to go by,
+   * frameUrl names the iframe the menu was opened in, which is expanded whole.
+   */
+  function enterFromContextMenu(frameUrl) {
+    let candidate = null;
+
+    if (frameUrl) {
+      const iframe = deepQuerySelectorAll('iframe').find(frame => frame.src === frameUrl);
+      candidate = iframe && { element: iframe, type: 'iframe' };
+    } else if (contextMenuTarget) {
+      candidate = findCandidateAt(contextMenuTarget.element, contextMenuTarget.x, contextMenuTarget.y);
     }
 
-    // Remove overlay
-    removeOverlay();
+    contextMenuTarget = null;
+    if (!candidate || !enterPaneFullscreen(candidate.element, candidate.type)) return null;
 
-    // Reset state
-    isActive = false;
-    currentElement = null;
-    originalElementState = null;
+    expandParentFrame();
+    return candidate;
   }
 
   /**
-   * Enable element selection mode
+   * Tell the background service worker whether a session is running, so the
+   * context menu can offer to exit it
    */
-  function enableSelectMode() {
-    if (selectMode) return;
-    selectMode = true;
+  function notifySessionChanged() {
+    if (!IS_TOP_FRAME) return;
 
-    // Add selection styling to body
-    document.body.classList.add('pane-fullscreen-select-mode');
-
-    // Find all selectable elements
-    const selectables = getAllSelectableElements();
-    
-    selectables.forEach(({ element, type }) => {
-      element.classList.add('pane-fullscreen-selectable');
-      element.dataset.paneFullscreenType = type;
-      
-      // Add click handler
-      const handler = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handleElementSelect(element, type);
-      };
-      
-      element.addEventListener('click', handler, { once: true, capture: true });
-      element._paneFullscreenHandler = handler;
+    chrome.runtime.sendMessage({ type: 'sessionChanged', isActive }).catch(() => {
+      // The service worker may be restarting; it asks again when the tab is activated
     });
+  }
 
-    // Cancel on ESC
-    const cancelSelect = (e) => {
-      if (e.key === 'Escape') {
-        disableSelectMode();
+  /**
+   * Get the hostname of the top-level site, which per-site settings are keyed by
+   */
+  function getSiteHostname() {
+    const origins = location.ancestorOrigins;
+    
+    if (!IS_TOP_FRAME && origins && origins.length > 0) {
+      try {
+        return new URL(origins[origins.length - 1]).hostname;
+      } catch (e) {
+        // Opaque origin, fall back to this frame's hostname
       }
-    };
-    document.addEventListener('keydown', cancelSelect, { once: true });
+    }
 
-    // Auto-cancel after 15 seconds
-    setTimeout(() => {
-      if (selectMode) {
-        disableSelectMode();
-      }
-    }, 15000);
+    return location.hostname;
+  }
+
+  /**
+   * Load this site's settings and apply them to the page
+   */
+  async function loadSiteSettings() {
+    siteSettings = await PaneFullscreenSettings.getSiteSettings(getSiteHostname());
+    
+    // The main-world hook only redirects fullscreen requests while this attribute is set
+    document.documentElement.toggleAttribute(REDIRECT_ATTRIBUTE, !!siteSettings.redirectFullscreen);
+
+    updatePlayWatching();
+    updateAutoEnterButton();
+  }
+
+  // Listen for keyboard events
+  document.addEventListener('keydown', handleKeydown, true);
+
+  // Save where the video was when the page goes away mid-session
+  window.addEventListener('pagehide', () => {
+    if (historyTimer) savePlaybackRecord();
+  });
+
+  // Remember right-clicks for the context menu
+  document.addEventListener('contextmenu', handleContextMenu, true);
 
-    return selectables.length;
+  // Listen for fullscreen requests redirected from the page
+  document.addEventListener(FULLSCREEN_REQUEST_EVENT, handleFullscreenRequest, true);
+  document.addEventListener(FULLSCREEN_EXIT_REQUEST_EVENT, () => {
+    if (siteSettings.redirectFullscreen) exitPaneFullscreen();
+  });
+
+  // Single-page app navigations often replace the video; check it once the page settles
+  document.addEventListener(LOCATION_CHANGE_EVENT, scheduleTargetCheck);
+  window.addEventListener('popstate', scheduleTargetCheck);
+
+  /**
+   * Check if a string is a CSS selector the browser accepts
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
   }
 
   /**
-   * Handle element selection
+   * Use a set of detection rules, skipping patterns and selectors that don't parse
    */
-  function handleElementSelect(element, type) {
-    disableSelectMode();
-    enterPaneFullscreen(element, type);
+  function applyDetectionRules(rules) {
+    iframePatterns = rules.iframePatterns.map(source => {
+      try {
+        return new RegExp(source, 'i');
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+    
+    containerSelectors = rules.containerSelectors.filter(isValidSelector);
+    containerSelector = containerSelectors.join(', ');
+    exclusionSelectors = rules.exclusionSelectors.filter(isValidSelector);
+    exclusionSelector = exclusionSelectors.join(', ');
   }
 
   /**
-   * Disable element selection mode
+   * Load the user's detection rules
    */
-  function disableSelectMode() {
-    if (!selectMode) return;
-    selectMode = false;
+  async function loadDetectionRules() {
+    applyDetectionRules(await PaneFullscreenSettings.getDetectionRules());
+  }
 
-    document.body.classList.remove('pane-fullscreen-select-mode');
+  /**
+   * Enter pane fullscreen when the page loads, if the user asked for that on this site,
+   * or if it was on when the page was reloaded and the site should pick up from there.
+   * Players often build their video late, so keep looking for a while.
+   */
+  async function autoEnterOnLoad() {
+    const record = siteSettings.resumeSession
+      ? await PaneFullscreenSettings.getPlaybackRecord(location.href).catch(() => null)
+      : null;
+    const resumePosition = !!(record && record.active);
 
-    // Remove selection styling and handlers from all elements
-    document.querySelectorAll('.pane-fullscreen-selectable').forEach(element => {
-      element.classList.remove('pane-fullscreen-selectable');
-      delete element.dataset.paneFullscreenType;
-      
-      if (element._paneFullscreenHandler) {
-        element.removeEventListener('click', element._paneFullscreenHandler, { capture: true });
-        delete element._paneFullscreenHandler;
+    for (let attempt = 0; attempt < AUTO_ENTER_ATTEMPTS; attempt++) {
+      if (isActive || selectState || !(siteSettings.autoEnter || resumePosition)) return;
+
+      const result = await findBestPlayableElement();
+      if (result && !isActive) {
+        enterPaneFullscreen(result.element, result.type, {
+          frameVideoIndex: result.frameVideoIndex,
+          resumePosition
+        });
+        return;
       }
-    });
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
   }
 
   /**
-   * Handle keyboard shortcuts
+   * Load the user's key bindings
    */
-  function handleKeydown(e) {
-    if (e.key === 'Escape' && isActive) {
-      e.preventDefault();
-      e.stopPropagation();
-      exitPaneFullscreen();
+  async function loadKeyBindings() {
+    keyBindings = await PaneFullscreenSettings.getKeyBindings();
+  }
+
+  /**
+   * Load the user's general preferences
+   */
+  async function loadPreferences() {
+    preferences = await PaneFullscreenSettings.getPreferences();
+    if (idleTracking) noteActivity();
+  }
+
+  // Load settings now and whenever they change; built-in detection rules apply until the user's load
+  applyDetectionRules(PaneFullscreenSettings.DEFAULT_DETECTION_RULES);
+  loadDetectionRules();
+  loadKeyBindings();
+  loadPreferences();
+  loadSiteSettings().then(() => {
+    if (IS_TOP_FRAME) autoEnterOnLoad();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (PaneFullscreenSettings.isSiteSettingsChange(changes)) {
+      loadSiteSettings();
+    }
+    if (area === 'local') {
+      handlePlaybackRecordRemoved(changes);
+      return;
+    }
+
+    if (changes.keyBindings) {
+      loadKeyBindings();
+    }
+    if (changes.preferences) {
+      loadPreferences();
     }
+    if (changes.detectionRules) {
+      loadDetectionRules();
+    }
+  });
+
+  // Listen for relay messages from other frames
+  window.addEventListener('message', handleFrameMessage);
+
+  // Let the parent frame know this document is ready for relay requests
+  if (!IS_TOP_FRAME) {
+    postToFrame(window.parent, { type: 'ready' });
   }
 
-  // Listen for keyboard events
-  document.addEventListener('keydown', handleKeydown, true);
+  // Frames that loaded before this script announced themselves to no one
+  deepQuerySelectorAll('iframe', document, false).forEach(iframe => {
+    postToFrame(iframe.contentWindow, { type: 'greet' });
+  });
 
   // Listen for messages from popup
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Child frames are driven by their parent frame through the relay, except for
+    // context menu clicks, which go to the frame that was right-clicked
+    if (!IS_TOP_FRAME && request.action !== 'contextMenuFullscreen') return false;
+
     switch (request.action) {
       case 'autoFullscreen': {
-        const result = findBestPlayableElement();
-        if (result) {
-          const success = enterPaneFullscreen(result.element, result.type);
-          sendResponse({ 
-            success, 
-            message: success 
-              ? `${result.type === 'video' ? 'Video' : result.type === 'iframe' ? 'Player' : 'Container'} expanded to pane fullscreen` 
-              : 'Failed to expand element'
-          });
-        } else {
-          sendResponse({ 
-            success: false, 
-            message: 'No video or player found on this page' 
-          });
-        }
+        findBestPlayableElement().then(result => {
+          if (result) {
+            const success = enterPaneFullscreen(result.element, result.type, {
+              frameVideoIndex: result.frameVideoIndex
+            });
+            sendResponse({ 
+              success, 
+              message: success 
+                ? `${TYPE_LABELS[result.type]} expanded to pane fullscreen` 
+                : 'Failed to expand element'
+            });
+          } else {
+            sendResponse({ 
+              success: false, 
+              message: 'No video or player found on this page' 
+            });
+          }
+        }).catch(error => sendResponse({ success: false, message: error.message }));
         break;
       }
 
@@ -742,12 +5500,21 @@
         } else {
           sendResponse({ 
             success: true, 
-            message: `Found ${count} element(s). Click one to select.` 
+            message: `Found ${count} element(s). Click one or press its number.` 
           });
         }
         break;
       }
 
+      case 'pickElement': {
+        enablePickMode();
+        sendResponse({
+          success: true,
+          message: 'Point at the element to expand'
+        });
+        break;
+      }
+
       case 'exitFullscreen': {
         exitPaneFullscreen();
         sendResponse({ 
@@ -757,12 +5524,67 @@
         break;
       }
 
+      case 'showDiagnostics': {
+        showDiagnostics().then(count => {
+          sendResponse({
+            success: true,
+            message: `Examined ${count} element(s)`
+          });
+        }).catch(error => sendResponse({ success: false, message: error.message }));
+        break;
+      }
+
       case 'getStatus': {
         const selectables = getAllSelectableElements();
         sendResponse({ 
           isActive,
           hasVideos: selectables.length > 0,
-          count: selectables.length
+          count: selectables.length,
+          candidates: request.includeCandidates ? listCandidatesForPopup() : undefined
+        });
+        break;
+      }
+
+      case 'contextMenuFullscreen': {
+        const candidate = enterFromContextMenu(request.frameUrl);
+        sendResponse({
+          success: !!candidate,
+          message: candidate
+            ? `${TYPE_LABELS[candidate.type]} expanded to pane fullscreen`
+            : 'No video or player under the cursor'
+        });
+        break;
+      }
+
+      case 'addPane': {
+        const candidate = listedCandidates[request.index];
+        const success = isActive && !!candidate && candidate.element.isConnected &&
+          addPane(candidate.element, candidate.type);
+        sendResponse({
+          success,
+          message: success
+            ? `${TYPE_LABELS[candidate.type]} added as a pane`
+            : (isActive ? 'Couldn\'t add that as a pane' : 'Pane fullscreen is not on')
+        });
+        break;
+      }
+
+      case 'highlightCandidate': {
+        highlightCandidate(request.index);
+        sendResponse({ success: true });
+        break;
+      }
+
+      case 'selectCandidate': {
+        highlightCandidate(null);
+        const candidate = listedCandidates[request.index];
+        const success = !!candidate && candidate.element.isConnected &&
+          enterPaneFullscreen(candidate.element, candidate.type);
+        sendResponse({
+          success,
+          message: success
+            ? `${TYPE_LABELS[candidate.type]} expanded to pane fullscreen`
+            : 'That element is no longer on the page'
         });
         break;
       }
@@ -0,0 +1,195 @@
+// Pane Fullscreen - Page Fullscreen Hook
+// Runs in the page's main world so a player's own fullscreen button can be redirected
+// into pane fullscreen. The content script decides per site whether redirection is on
+// and does the actual expanding; this side keeps the page's view of fullscreen consistent.
+// It also reports History API navigations, which content scripts can't observe, and
+// marks media the page routes through Web Audio.
+
+(function() {
+  'use strict';
+
+  const HOOK_KEY = Symbol.for('paneFullscreenHook');
+  if (window[HOOK_KEY]) return;
+  window[HOOK_KEY] = true;
+
+  // Shared with content.js
+  const REDIRECT_ATTRIBUTE = 'data-pane-fullscreen-redirect';
+  const REQUEST_EVENT = 'pane-fullscreen-request';
+  const EXIT_REQUEST_EVENT = 'pane-fullscreen-exit-request';
+  const EXITED_EVENT = 'pane-fullscreen-exited';
+  const LOCATION_CHANGE_EVENT = 'pane-fullscreen-location-change';
+  const AUDIO_ROUTED_ATTRIBUTE = 'data-pane-fullscreen-audio-routed';
+
+  // Element currently shown in pane fullscreen on the page's behalf
+  let paneFullscreenElement = null;
+
+  // Whether the fallback modifier (Shift) was held for the latest user input
+  let bypassRedirect = false;
+
+  const nativeRequests = {
+    requestFullscreen: Element.prototype.requestFullscreen,
+    webkitRequestFullscreen: Element.prototype.webkitRequestFullscreen,
+    webkitRequestFullScreen: Element.prototype.webkitRequestFullScreen
+  };
+
+  const nativeExits = {
+    exitFullscreen: Document.prototype.exitFullscreen,
+    webkitExitFullscreen: Document.prototype.webkitExitFullscreen,
+    webkitCancelFullScreen: Document.prototype.webkitCancelFullScreen
+  };
+
+  // Document getters that report the fullscreen element, and the ones that report a boolean
+  const ELEMENT_GETTERS = ['fullscreenElement', 'webkitFullscreenElement', 'webkitCurrentFullScreenElement'];
+  const BOOLEAN_GETTERS = ['fullscreen', 'webkitIsFullScreen'];
+
+  /**
+   * Check if the content script turned redirection on for this site
+   */
+  function isRedirectEnabled() {
+    return document.documentElement.hasAttribute(REDIRECT_ATTRIBUTE);
+  }
+
+  /**
+   * Get the element as the document sees it (shadow tree elements show up as their host)
+   */
+  function retargetToDocument(element) {
+    let node = element;
+    while (node.getRootNode() !== document && node.getRootNode().host) {
+      node = node.getRootNode().host;
+    }
+    return node;
+  }
+
+  /**
+   * Fire the fullscreen change events players listen for
+   */
+  function fireFullscreenChange(element) {
+    const target = element.isConnected ? element : document;
+    ['fullscreenchange', 'webkitfullscreenchange'].forEach(type => {
+      target.dispatchEvent(new Event(type, { bubbles: true, composed: true }));
+    });
+  }
+
+  /**
+   * Ask the content script to pane-fullscreen an element instead of the whole screen
+   */
+  function redirectRequest(element, nativeMethod, args) {
+    if (!isRedirectEnabled() || bypassRedirect || !nativeMethod) {
+      return nativeMethod && nativeMethod.apply(element, args);
+    }
+
+    if (paneFullscreenElement !== element) {
+      // The content script cancels the event when it took over
+      const accepted = !element.dispatchEvent(new CustomEvent(REQUEST_EVENT, {
+        cancelable: true,
+        composed: true
+      }));
+
+      if (!accepted) {
+        return nativeMethod.apply(element, args);
+      }
+
+      paneFullscreenElement = element;
+    }
+
+    // Like real fullscreen, the change is announced asynchronously
+    return new Promise(resolve => {
+      setTimeout(() => {
+        fireFullscreenChange(element);
+        resolve();
+      }, 0);
+    });
+  }
+
+  /**
+   * Leave pane fullscreen when the page asks to exit fullscreen
+   */
+  function redirectExit(nativeMethod, args) {
+    if (!paneFullscreenElement) {
+      return nativeMethod && nativeMethod.apply(document, args);
+    }
+
+    document.dispatchEvent(new CustomEvent(EXIT_REQUEST_EVENT));
+
+    // Content script missing or unresponsive: still give the page a consistent state
+    if (paneFullscreenElement) {
+      handlePaneExited();
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Clear the emulated fullscreen state once the pane session is over
+   */
+  function handlePaneExited() {
+    if (!paneFullscreenElement) return;
+
+    const element = paneFullscreenElement;
+    paneFullscreenElement = null;
+    setTimeout(() => fireFullscreenChange(element), 0);
+  }
+
+  Object.keys(nativeRequests).forEach(name => {
+    if (!nativeRequests[name]) return;
+    Element.prototype[name] = function(...args) {
+      return redirectRequest(this, nativeRequests[name], args);
+    };
+  });
+
+  Object.keys(nativeExits).forEach(name => {
+    if (!nativeExits[name]) return;
+    Document.prototype[name] = function(...args) {
+      return redirectExit(nativeExits[name], args);
+    };
+  });
+
+  ELEMENT_GETTERS.concat(BOOLEAN_GETTERS).forEach(name => {
+    const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, name);
+    if (!descriptor || !descriptor.get) return;
+
+    const isBoolean = BOOLEAN_GETTERS.includes(name);
+    Object.defineProperty(Document.prototype, name, {
+      ...descriptor,
+      get() {
+        if (paneFullscreenElement && this === document) {
+          return isBoolean ? true : retargetToDocument(paneFullscreenElement);
+        }
+        return descriptor.get.call(this);
+      }
+    });
+  });
+
+  // Track the modifier on whatever input triggered the player's fullscreen call
+  ['keydown', 'keyup', 'pointerdown', 'mousedown', 'click'].forEach(type => {
+    window.addEventListener(type, e => {
+      bypassRedirect = e.shiftKey;
+    }, true);
+  });
+
+  document.addEventListener(EXITED_EVENT, handlePaneExited);
+
+  // Mark media the page routes through its own Web Audio graph, as an element can only
+  // be given one, so the content script doesn't try to route it as well
+  if (window.AudioContext && AudioContext.prototype.createMediaElementSource) {
+    const nativeCreateSource = AudioContext.prototype.createMediaElementSource;
+
+    AudioContext.prototype.createMediaElementSource = function(media) {
+      const source = nativeCreateSource.call(this, media);
+      if (media instanceof HTMLMediaElement) media.setAttribute(AUDIO_ROUTED_ATTRIBUTE, '');
+      return source;
+    };
+  }
+
+  // Single-page apps change route with pushState/replaceState, which fire no event
+  ['pushState', 'replaceState'].forEach(name => {
+    const nativeMethod = History.prototype[name];
+    if (!nativeMethod) return;
+
+    History.prototype[name] = function(...args) {
+      const result = nativeMethod.apply(this, args);
+      document.dispatchEvent(new CustomEvent(LOCATION_CHANGE_EVENT));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,99 @@
+// Pane Fullscreen - Tab Messaging
+// Shared by the popup and the background service worker to reach the content script
+
+/**
+ * Check if a URL belongs to a browser page we can't inject into
+ */
+function isRestrictedUrl(url) {
+  if (!url) return false;
+
+  return url.startsWith('chrome://') ||
+         url.startsWith('chrome-extension://') ||
+         url.startsWith('edge://');
+}
+
+/**
+ * Get the active tab of the current window
+ */
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+/**
+ * Inject the content script and styles into a tab
+ */
+async function injectContentScript(tabId) {
+  try {
+    // Inject the CSS first
+    await chrome.scripting.insertCSS({
+      target: { tabId, allFrames: true },
+      files: ['styles.css']
+    });
+
+    // Then inject the JS
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      files: ['settings.js', 'adapters.js', 'content.js']
+    });
+
+    // And the hook for the page's own fullscreen buttons
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      files: ['fullscreen-hook.js'],
+      world: 'MAIN'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Failed to inject content script:', error);
+    return false;
+  }
+}
+
+/**
+ * Send an action to the content script of a tab, injecting it once if it isn't loaded.
+ * Failures are reported as a { success: false, message } response instead of throwing.
+ * Actions go to the top frame unless options.frameId names another.
+ */
+async function sendActionToTab(tab, action, options = {}) {
+  if (!tab) {
+    return { success: false, message: 'No active tab found' };
+  }
+
+  // Check if we can inject into this tab
+  if (isRestrictedUrl(tab.url)) {
+    return { success: false, message: 'Cannot run on browser pages' };
+  }
+
+  try {
+    // Normally only the top frame answers; it coordinates child frames itself
+    return await chrome.tabs.sendMessage(tab.id, { action, ...options.data }, { frameId: options.frameId || 0 });
+  } catch (error) {
+    console.error('Error:', error);
+
+    // Anything other than a missing content script is a real failure
+    if (!error.message.includes('Receiving end does not exist') &&
+        !error.message.includes('Could not establish connection')) {
+      return { success: false, message: 'Error: ' + error.message };
+    }
+
+    // Only retry once to avoid infinite loops
+    if (options.isRetry) {
+      return { success: false, message: 'Failed to connect. Please refresh the page.' };
+    }
+
+    if (options.onInject) {
+      options.onInject();
+    }
+
+    const injected = await injectContentScript(tab.id);
+    if (!injected) {
+      return { success: false, message: 'Cannot run on this page' };
+    }
+
+    // Small delay to let script initialize, then retry
+    await new Promise(resolve => setTimeout(resolve, 150));
+    return sendActionToTab(tab, action, { ...options, isRetry: true });
+  }
+}
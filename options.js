@@ -0,0 +1,544 @@
+// Options page script for Pane Fullscreen extension
+
+const statusEl = document.getElementById('status');
+
+// Labels for the key binding actions (see DEFAULT_KEY_BINDINGS in settings.js)
+const KEY_BINDING_LABELS = {
+  togglePlay: 'Play / pause',
+  seekBackward: 'Back 5 seconds',
+  seekForward: 'Forward 5 seconds',
+  seekBackwardLong: 'Back 10 seconds',
+  seekForwardLong: 'Forward 10 seconds',
+  volumeUp: 'Volume up',
+  volumeDown: 'Volume down',
+  toggleMute: 'Mute / unmute',
+  slower: 'Slower',
+  faster: 'Faster',
+  realFullscreen: 'Real fullscreen',
+  previousCandidate: 'Previous video on the page',
+  nextCandidate: 'Next video on the page',
+  cycleFitMode: 'Change fit mode',
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  addPane: 'Add a pane beside the video',
+  cycleLayout: 'Change pane layout',
+  toggleMiniPane: 'Mini pane / full pane',
+  pictureInPicture: 'Picture-in-Picture / back to the pane',
+  sleepTimer: 'Sleep timer',
+  adjustments: 'Picture adjustments',
+  audioBoost: 'Volume boost (100–400%)',
+  audioPanel: 'Sound: boost, night mode, mono'
+};
+
+// Keys with a fixed meaning in the overlay
+const RESERVED_KEYS = ['Escape', 'Tab', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// Modifier keys are never bound on their own
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+// Labels for the per-site expand strategies (see STRATEGIES in settings.js)
+const STRATEGY_LABELS = {
+  '': 'Automatic',
+  reparent: 'Move into the overlay',
+  inplace: 'Expand in place'
+};
+
+// Labels for the per-site end actions (see END_ACTIONS in settings.js)
+const END_ACTION_LABELS = {
+  stay: 'Stay in pane fullscreen',
+  exit: 'Exit pane fullscreen',
+  next: 'Continue with the next video'
+};
+
+// Detection rule lists and the textarea each is edited in
+const DETECTION_RULE_FIELDS = ['iframePatterns', 'containerSelectors', 'exclusionSelectors'];
+
+let keyBindings = {};
+let stopRecording = null;
+
+function showStatus(message, type = 'success') {
+  statusEl.textContent = message;
+  statusEl.className = `status ${type}`;
+
+  setTimeout(() => {
+    statusEl.className = 'status';
+  }, 2000);
+}
+
+function formatKey(key) {
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+async function saveKeyBindings() {
+  await PaneFullscreenSettings.setKeyBindings(keyBindings);
+  renderKeyBindings();
+  showStatus('Keyboard controls saved');
+}
+
+function renderKeyBindings() {
+  const tbody = document.getElementById('keyBindings');
+  tbody.textContent = '';
+
+  Object.keys(KEY_BINDING_LABELS).forEach(action => {
+    const row = document.createElement('tr');
+    const label = document.createElement('td');
+    const keysCell = document.createElement('td');
+    const keys = document.createElement('div');
+
+    label.textContent = KEY_BINDING_LABELS[action];
+    keys.className = 'keys';
+
+    (keyBindings[action] || []).forEach(key => {
+      const chip = document.createElement('span');
+      const remove = document.createElement('button');
+
+      chip.className = 'key';
+      chip.textContent = formatKey(key);
+      remove.textContent = '×';
+      remove.title = 'Remove key';
+      remove.addEventListener('click', () => {
+        keyBindings[action] = keyBindings[action].filter(k => k !== key);
+        saveKeyBindings();
+      });
+
+      chip.appendChild(remove);
+      keys.appendChild(chip);
+    });
+
+    const add = document.createElement('button');
+    add.className = 'btn';
+    add.textContent = 'Add key';
+    add.addEventListener('click', () => recordKey(action, add));
+    keys.appendChild(add);
+
+    keysCell.appendChild(keys);
+    row.appendChild(label);
+    row.appendChild(keysCell);
+    tbody.appendChild(row);
+  });
+}
+
+// Wait for the next key press and bind it to an action
+function recordKey(action, button) {
+  if (stopRecording) stopRecording();
+
+  button.classList.add('recording');
+  button.textContent = 'Press a key…';
+
+  const handler = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (MODIFIER_KEYS.includes(e.key)) return;
+    stopRecording();
+
+    // ESC cancels recording
+    if (e.key === 'Escape') return;
+
+    const key = PaneFullscreenSettings.normalizeKey(e);
+    if (RESERVED_KEYS.includes(key)) {
+      showStatus(`${formatKey(key)} is reserved`, 'error');
+      return;
+    }
+
+    // A key can only do one thing, so take it away from any other action
+    Object.keys(keyBindings).forEach(other => {
+      keyBindings[other] = keyBindings[other].filter(k => k !== key);
+    });
+    keyBindings[action] = [...keyBindings[action], key];
+    saveKeyBindings();
+  };
+
+  stopRecording = () => {
+    document.removeEventListener('keydown', handler, true);
+    button.classList.remove('recording');
+    button.textContent = 'Add key';
+    stopRecording = null;
+  };
+
+  document.addEventListener('keydown', handler, true);
+}
+
+document.getElementById('resetKeyBindings').addEventListener('click', () => {
+  keyBindings = { ...PaneFullscreenSettings.DEFAULT_KEY_BINDINGS };
+  saveKeyBindings();
+});
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function renderDetectionRules(rules) {
+  DETECTION_RULE_FIELDS.forEach(field => {
+    document.getElementById(field).value = rules[field].join('\n');
+  });
+}
+
+function readRuleList(field) {
+  return document.getElementById(field).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+document.getElementById('saveDetectionRules').addEventListener('click', async () => {
+  const rules = {};
+  DETECTION_RULE_FIELDS.forEach(field => {
+    rules[field] = readRuleList(field);
+  });
+
+  const badPattern = rules.iframePatterns.find(pattern => !isValidPattern(pattern));
+  if (badPattern) {
+    showStatus(`Invalid pattern: ${badPattern}`, 'error');
+    return;
+  }
+
+  const badSelector = rules.containerSelectors.concat(rules.exclusionSelectors).find(selector => !isValidSelector(selector));
+  if (badSelector) {
+    showStatus(`Invalid selector: ${badSelector}`, 'error');
+    return;
+  }
+
+  await PaneFullscreenSettings.setDetectionRules(rules);
+  showStatus('Detection rules saved');
+});
+
+document.getElementById('resetDetectionRules').addEventListener('click', async () => {
+  await PaneFullscreenSettings.setDetectionRules(PaneFullscreenSettings.DEFAULT_DETECTION_RULES);
+  renderDetectionRules(PaneFullscreenSettings.DEFAULT_DETECTION_RULES);
+  showStatus('Detection rules reset');
+});
+
+async function saveSite(site, changes) {
+  try {
+    await PaneFullscreenSettings.updateSiteSettings(site, changes);
+    showStatus(`Saved settings for ${site}`);
+  } catch (error) {
+    showStatus(`Couldn't save settings for ${site}: ${error.message}`, 'error');
+  }
+}
+
+function createSelect(options, value, onChange) {
+  const select = document.createElement('select');
+
+  Object.keys(options).forEach(optionValue => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = options[optionValue];
+    select.appendChild(option);
+  });
+
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createField(labelText, control, wide = false) {
+  const field = document.createElement('div');
+  const label = document.createElement('span');
+
+  field.className = wide ? 'wide' : '';
+  label.className = 'field-label';
+  label.textContent = labelText;
+  field.appendChild(label);
+  field.appendChild(control);
+  return field;
+}
+
+function createCheck(labelText, checked, onChange) {
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+
+  label.className = 'check';
+  input.type = 'checkbox';
+  input.checked = !!checked;
+  input.addEventListener('change', () => onChange(input.checked));
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(labelText));
+  return label;
+}
+
+function renderSite(site, settings) {
+  const card = document.createElement('div');
+  const header = document.createElement('div');
+  const name = document.createElement('span');
+  const remove = document.createElement('button');
+  const fields = document.createElement('div');
+
+  card.className = 'site';
+  header.className = 'site-header';
+  name.className = 'site-name';
+  name.textContent = site;
+  remove.className = 'btn';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', async () => {
+    await PaneFullscreenSettings.removeSiteSettings(site);
+    renderSites();
+    showStatus(`Removed ${site}`);
+  });
+  header.appendChild(name);
+  header.appendChild(remove);
+
+  const preferred = document.createElement('input');
+  preferred.type = 'text';
+  preferred.spellcheck = false;
+  preferred.placeholder = 'Automatic, e.g. #main-player video';
+  preferred.value = settings.preferredSelector || '';
+  preferred.addEventListener('change', () => {
+    const selector = preferred.value.trim();
+    if (selector && !isValidSelector(selector)) {
+      showStatus(`Invalid selector: ${selector}`, 'error');
+      return;
+    }
+    saveSite(site, { preferredSelector: selector });
+  });
+
+  const fitLabels = {};
+  PaneFullscreenSettings.FIT_MODES.forEach(mode => {
+    fitLabels[mode] = PaneFullscreenSettings.FIT_MODE_LABELS[mode];
+  });
+
+  fields.className = 'site-fields';
+  fields.appendChild(createField('Preferred element', preferred, true));
+  fields.appendChild(createField('Expand by', createSelect(STRATEGY_LABELS, settings.strategy || '', strategy => {
+    saveSite(site, { strategy });
+  })));
+  fields.appendChild(createField('Fit mode', createSelect(fitLabels, settings.fitMode || 'contain', fitMode => {
+    saveSite(site, { fitMode });
+  })));
+  fields.appendChild(createField('When the video ends', createSelect(END_ACTION_LABELS, settings.endAction || 'stay', endAction => {
+    saveSite(site, { endAction });
+  })));
+  fields.appendChild(createCheck('Enter pane fullscreen when a page loads', settings.autoEnter, autoEnter => {
+    saveSite(site, { autoEnter });
+  }));
+  fields.appendChild(createCheck('Enter pane fullscreen when the main video starts playing', settings.autoEnterOnPlay, autoEnterOnPlay => {
+    saveSite(site, { autoEnterOnPlay });
+  }));
+  fields.appendChild(createCheck('Re-enter pane fullscreen after a reload, where the video was', settings.resumeSession, resumeSession => {
+    saveSite(site, { resumeSession });
+  }));
+  fields.appendChild(createCheck('Remember picture adjustments (brightness, rotation, mirroring)', settings.rememberAdjustments, rememberAdjustments => {
+    saveSite(site, rememberAdjustments ? { rememberAdjustments } : { rememberAdjustments, adjustments: null });
+  }));
+  fields.appendChild(createCheck('Use pane fullscreen for the site\'s fullscreen button', settings.redirectFullscreen, redirectFullscreen => {
+    saveSite(site, { redirectFullscreen });
+  }));
+
+  card.appendChild(header);
+  card.appendChild(fields);
+  return card;
+}
+
+async function renderSites() {
+  const container = document.getElementById('sites');
+  const allSettings = await PaneFullscreenSettings.getAllSiteSettings();
+  const sites = Object.keys(allSettings).sort();
+
+  container.textContent = '';
+
+  if (sites.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No site settings yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  sites.forEach(site => container.appendChild(renderSite(site, allSettings[site])));
+}
+
+document.getElementById('addSite').addEventListener('click', async () => {
+  const input = document.getElementById('newSite');
+  let hostname = input.value.trim();
+
+  // Accept pasted addresses as well as bare hostnames
+  try {
+    hostname = new URL(hostname.includes('://') ? hostname : `https://${hostname}`).hostname;
+  } catch (e) {
+    hostname = '';
+  }
+
+  if (!hostname) {
+    showStatus('Enter a site like example.com', 'error');
+    return;
+  }
+
+  const site = PaneFullscreenSettings.getSiteKey(hostname);
+  await PaneFullscreenSettings.updateSiteSettings(site, {});
+  input.value = '';
+  renderSites();
+});
+
+function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (24 * 60))} days ago`;
+}
+
+function renderPreferences(preferences) {
+  document.getElementById('idleHideDelay').value = preferences.idleHideDelay;
+}
+
+document.getElementById('idleHideDelay').addEventListener('change', async (e) => {
+  const seconds = Number(e.target.value);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > 60) {
+    showStatus('Enter a whole number of seconds from 0 to 60', 'error');
+    return;
+  }
+
+  await PaneFullscreenSettings.updatePreferences({ idleHideDelay: seconds });
+  showStatus(seconds ? `Controls hide after ${seconds} s` : 'Controls stay on screen');
+});
+
+function renderHistoryEntry(url, record) {
+  const entry = document.createElement('div');
+  const info = document.createElement('div');
+  const title = document.createElement('div');
+  const address = document.createElement('div');
+  const meta = document.createElement('div');
+  const remove = document.createElement('button');
+
+  entry.className = 'history-entry';
+  info.className = 'history-info';
+  title.className = 'history-title';
+  title.textContent = record.title || url;
+  address.className = 'history-url';
+  address.textContent = url;
+
+  const details = [];
+  if (typeof record.position === 'number') {
+    details.push(`${formatTime(record.position)} of ${formatTime(record.duration)}`);
+  }
+  if (record.fitMode) details.push(PaneFullscreenSettings.FIT_MODE_LABELS[record.fitMode]);
+  if (record.speed && record.speed !== 1) details.push(`${record.speed}\u00d7`);
+  details.push(formatAge(record.updatedAt));
+  meta.className = 'history-meta';
+  meta.textContent = details.join(' \u00b7 ');
+
+  remove.className = 'btn';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', async () => {
+    await PaneFullscreenSettings.removePlaybackRecord(url);
+    renderHistory();
+  });
+
+  info.appendChild(title);
+  info.appendChild(address);
+  info.appendChild(meta);
+  entry.appendChild(info);
+  entry.appendChild(remove);
+  return entry;
+}
+
+async function renderHistory() {
+  const container = document.getElementById('history');
+  const history = await PaneFullscreenSettings.getPlaybackHistory();
+  const urls = Object.keys(history).sort((a, b) => history[b].updatedAt - history[a].updatedAt);
+
+  container.textContent = '';
+
+  if (urls.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No playback history.';
+    container.appendChild(empty);
+    return;
+  }
+
+  urls.forEach(url => container.appendChild(renderHistoryEntry(url, history[url])));
+}
+
+document.getElementById('historyLimits').textContent =
+  `pages are forgotten after ${PaneFullscreenSettings.HISTORY_MAX_AGE_DAYS} days, and only the last ${PaneFullscreenSettings.HISTORY_MAX_ENTRIES} are kept.`;
+
+document.getElementById('clearHistory').addEventListener('click', async () => {
+  await PaneFullscreenSettings.clearPlaybackHistory();
+  renderHistory();
+  showStatus('Playback history cleared');
+});
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  const data = await PaneFullscreenSettings.exportSettings();
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = 'pane-fullscreen-settings.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('importSettings').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    await PaneFullscreenSettings.importSettings(JSON.parse(await file.text()));
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, 'error');
+    return;
+  }
+
+  await init();
+  showStatus('Settings imported');
+});
+
+async function init() {
+  keyBindings = await PaneFullscreenSettings.getKeyBindings();
+  renderKeyBindings();
+  renderPreferences(await PaneFullscreenSettings.getPreferences());
+  renderDetectionRules(await PaneFullscreenSettings.getDetectionRules());
+  renderSites();
+  renderHistory();
+}
+
+// Keep the page current when settings change elsewhere (popup, overlay, another window)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (PaneFullscreenSettings.isSiteSettingsChange(changes)) {
+    renderSites();
+  }
+  if (area === 'local' && PaneFullscreenSettings.isPlaybackHistoryChange(changes)) {
+    renderHistory();
+  }
+});
+
+init();
@@ -14,87 +14,22 @@ function showStatus(message, type = 'info') {
   }
 }
 
-async function injectContentScript(tabId) {
-  try {
-    // Inject the CSS first
-    await chrome.scripting.insertCSS({
-      target: { tabId },
-      files: ['styles.css']
-    });
-    
-    // Then inject the JS
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['content.js']
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('Failed to inject content script:', error);
-    return false;
-  }
-}
+async function sendMessageToContent(action, data) {
+  const tab = await getActiveTab();
+  const response = await sendActionToTab(tab, action, {
+    data,
+    onInject: () => showStatus('Initializing...', 'info')
+  });
 
-async function sendMessageToContent(action, isRetry = false) {
-  try {
-    // Get the current active tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab) {
-      showStatus('No active tab found', 'error');
-      return;
-    }
-
-    // Check if we can inject into this tab
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('edge://')) {
-      showStatus('Cannot run on browser pages', 'error');
-      return;
-    }
-
-    // Send message to content script
-    const response = await chrome.tabs.sendMessage(tab.id, { action });
-    
-    if (response) {
-      if (response.success) {
-        showStatus(response.message || 'Success!', 'success');
-        // Close popup after successful action
-        if (action === 'autoFullscreen') {
-          setTimeout(() => window.close(), 500);
-        }
-      } else {
-        showStatus(response.message || 'Action failed', 'error');
-      }
-    }
-  } catch (error) {
-    console.error('Error:', error);
-    
-    // If content script isn't loaded, try to inject it
-    if (error.message.includes('Receiving end does not exist') || 
-        error.message.includes('Could not establish connection')) {
-      
-      // Only retry once to avoid infinite loops
-      if (isRetry) {
-        showStatus('Failed to connect. Please refresh the page.', 'error');
-        return;
-      }
-      
-      showStatus('Initializing...', 'info');
-      
-      // Get the tab again for injection
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      if (tab) {
-        const injected = await injectContentScript(tab.id);
-        
-        if (injected) {
-          // Small delay to let script initialize, then retry
-          setTimeout(() => sendMessageToContent(action, true), 150);
-        } else {
-          showStatus('Cannot run on this page', 'error');
-        }
+  if (response) {
+    if (response.success) {
+      showStatus(response.message || 'Success!', 'success');
+      // Close popup after successful action
+      if (action === 'autoFullscreen' || action === 'showDiagnostics' || action === 'selectCandidate') {
+        setTimeout(() => window.close(), 500);
       }
     } else {
-      showStatus('Error: ' + error.message, 'error');
+      showStatus(response.message || 'Action failed', 'error');
     }
   }
 }
@@ -112,3 +47,146 @@ document.getElementById('selectVideo').addEventListener('click', () => {
   // Close popup so user can click on video
   setTimeout(() => window.close(), 800);
 });
+
+// Pick mode - expands any element, such as a canvas, image, chart or slide deck
+document.getElementById('pickElement').addEventListener('click', () => {
+  showStatus('Point at the element to expand', 'info');
+  sendMessageToContent('pickElement');
+  // Close popup so user can point at the page
+  setTimeout(() => window.close(), 800);
+});
+
+// Diagnostics - outlines every element detection looked at and explains its choice
+document.getElementById('showDiagnostics').addEventListener('click', () => {
+  showStatus('Examining page...', 'info');
+  sendMessageToContent('showDiagnostics');
+});
+
+// Exit the running session
+document.getElementById('exitFullscreen').addEventListener('click', async () => {
+  await sendMessageToContent('exitFullscreen');
+  refreshCandidates();
+});
+
+// Settings page
+document.getElementById('openOptions').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Per-site toggle for a setting, checked when it's on for the current tab's site
+async function initSiteToggle(key, describe) {
+  const toggle = document.getElementById(key);
+  const tab = await getActiveTab();
+  const hostname = tab && tab.url && !isRestrictedUrl(tab.url) ? new URL(tab.url).hostname : '';
+
+  if (!hostname) {
+    toggle.disabled = true;
+    document.getElementById(`${key}Toggle`).classList.add('disabled');
+    return;
+  }
+
+  const settings = await PaneFullscreenSettings.getSiteSettings(hostname);
+  toggle.checked = !!settings[key];
+
+  toggle.addEventListener('change', async () => {
+    await PaneFullscreenSettings.updateSiteSettings(hostname, { [key]: toggle.checked });
+    showStatus(describe(hostname, toggle.checked), 'success');
+  });
+}
+
+// Redirect of the page's own fullscreen button into pane fullscreen
+initSiteToggle('redirectFullscreen', (hostname, enabled) => enabled
+  ? `Fullscreen buttons on ${hostname} now open pane fullscreen`
+  : `Fullscreen buttons on ${hostname} use real fullscreen`);
+
+// Entering pane fullscreen as soon as the main video plays
+initSiteToggle('autoEnterOnPlay', (hostname, enabled) => enabled
+  ? `Videos on ${hostname} now enter pane fullscreen when they play`
+  : `Videos on ${hostname} no longer enter pane fullscreen by themselves`);
+
+// Describe a candidate's type, size and play state, e.g. "Video · 1280×720 · Playing"
+function describeCandidate(candidate) {
+  const parts = [candidate.label, `${candidate.width}\u00d7${candidate.height}`];
+  if (candidate.playing === true) parts.push('Playing');
+  if (candidate.playing === false) parts.push('Paused');
+  if (candidate.current) parts.push('Showing');
+  return parts.join(' \u00b7 ');
+}
+
+function renderCandidates(tab, candidates, sessionActive) {
+  const list = document.getElementById('candidates');
+  list.textContent = '';
+  document.getElementById('candidateSection').hidden = candidates.length === 0;
+
+  candidates.forEach(candidate => {
+    const item = document.createElement('li');
+    const info = document.createElement('div');
+    const meta = document.createElement('div');
+    const title = document.createElement('div');
+    let thumb;
+
+    if (candidate.thumbnail) {
+      thumb = document.createElement('img');
+      thumb.src = candidate.thumbnail;
+      thumb.alt = '';
+    } else {
+      thumb = document.createElement('div');
+      thumb.textContent = candidate.label;
+    }
+    thumb.className = 'candidate-thumb';
+
+    item.className = candidate.current ? 'candidate current' : 'candidate';
+    info.className = 'candidate-info';
+    meta.className = 'candidate-meta';
+    meta.textContent = describeCandidate(candidate);
+    title.className = 'candidate-title';
+    title.textContent = candidate.title;
+    title.title = candidate.title;
+
+    info.appendChild(meta);
+    info.appendChild(title);
+    item.appendChild(thumb);
+    item.appendChild(info);
+
+    // While a session runs, other candidates can join it as extra panes
+    if (sessionActive && !candidate.current) {
+      const add = document.createElement('button');
+      add.className = 'candidate-add';
+      add.textContent = '+';
+      add.title = 'Add as a pane beside the current video';
+      add.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await sendMessageToContent('addPane', { index: candidate.index });
+        refreshCandidates();
+      });
+      item.appendChild(add);
+    }
+
+    // Hovering outlines the element on the page, clicking expands it
+    item.addEventListener('mouseenter', () => {
+      sendActionToTab(tab, 'highlightCandidate', { data: { index: candidate.index } });
+    });
+    item.addEventListener('mouseleave', () => {
+      sendActionToTab(tab, 'highlightCandidate', { data: { index: null } });
+    });
+    item.addEventListener('click', () => {
+      sendMessageToContent('selectCandidate', { index: candidate.index });
+    });
+
+    list.appendChild(item);
+  });
+}
+
+// Show what's on the page and whether a session is running
+async function refreshCandidates() {
+  const tab = await getActiveTab();
+  if (!tab || isRestrictedUrl(tab.url)) return;
+
+  const response = await sendActionToTab(tab, 'getStatus', { data: { includeCandidates: true } });
+  if (!response || !response.candidates) return;
+
+  document.getElementById('session').hidden = !response.isActive;
+  renderCandidates(tab, response.candidates, response.isActive);
+}
+
+refreshCandidates();
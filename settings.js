@@ -0,0 +1,494 @@
+// Pane Fullscreen - Settings
+// Shared storage helpers for the content script, popup, options page and background service worker
+
+self.PaneFullscreenSettings = (() => {
+  'use strict';
+
+  // Overlay key bindings: action -> keys, as returned by normalizeKey
+  const DEFAULT_KEY_BINDINGS = {
+    togglePlay: ['Space', 'k'],
+    seekBackward: ['ArrowLeft'],
+    seekForward: ['ArrowRight'],
+    seekBackwardLong: ['j'],
+    seekForwardLong: ['l'],
+    volumeUp: ['ArrowUp'],
+    volumeDown: ['ArrowDown'],
+    toggleMute: ['m'],
+    slower: ['<'],
+    faster: ['>'],
+    realFullscreen: ['f'],
+    previousCandidate: ['['],
+    nextCandidate: [']'],
+    cycleFitMode: ['a'],
+    zoomIn: ['+', '='],
+    zoomOut: ['-'],
+    addPane: ['n'],
+    cycleLayout: ['g'],
+    toggleMiniPane: ['i'],
+    pictureInPicture: ['p'],
+    sleepTimer: ['t'],
+    adjustments: ['e'],
+    audioBoost: ['b'],
+    audioPanel: ['u']
+  };
+
+  // General preferences
+  const DEFAULT_PREFERENCES = {
+    idleHideDelay: 3 // Seconds without input before the overlay's controls and the cursor hide, 0 for never
+  };
+
+  // How video elements are detected. Iframe patterns are regular expressions (matched
+  // case-insensitively against the iframe's URL); the rest are CSS selectors.
+  const DEFAULT_DETECTION_RULES = {
+    iframePatterns: [
+      'player\\.',
+      'embed',
+      'video',
+      'stream',
+      'megaplay',
+      'aniwave',
+      'youtube\\.com/embed',
+      'youtube-nocookie\\.com/embed',
+      'player\\.vimeo\\.com',
+      'dailymotion\\.com/embed',
+      'twitch\\.tv/embed',
+      'facebook\\.com/plugins/video',
+      'streamable\\.com',
+      'vidyard',
+      'wistia',
+      'jwplatform',
+      'brightcove',
+      'kaltura',
+      'ooyala',
+      'vidcloud',
+      'mp4upload',
+      'gogoplay',
+      'streamsb',
+      'fembed',
+      'mixdrop'
+    ],
+    containerSelectors: [
+      '#video-player',
+      '#player-container',
+      '#player',
+      '.video-player',
+      '.player-container',
+      '.video-container',
+      '.player-wrapper',
+      '.video-wrapper',
+      '[class*="video-player"]',
+      '[class*="player-container"]',
+      '[id*="video-player"]',
+      '[id*="player-container"]'
+    ],
+    // Elements never picked, nor anything inside them (ad slots, thumbnail previews)
+    exclusionSelectors: []
+  };
+
+  // Fit modes, in the order the overlay's fit button cycles through them
+  const FIT_MODES = ['contain', 'cover', 'stretch', '4:3', '16:9', '21:9', '1:1', 'zoom'];
+  const FIT_MODE_LABELS = {
+    contain: 'Fit',
+    cover: 'Fill',
+    stretch: 'Stretch',
+    '4:3': '4:3',
+    '16:9': '16:9',
+    '21:9': '21:9',
+    '1:1': '1:1',
+    zoom: 'Zoom'
+  };
+
+  // Ways of expanding an element (see getDefaultStrategy in content.js)
+  const STRATEGIES = ['reparent', 'inplace'];
+
+  // What happens when the video in the pane ends (see handleMediaEnded in content.js)
+  const END_ACTIONS = ['stay', 'exit', 'next'];
+
+  // Site settings are kept one item per site, as storage.sync limits the size of an
+  // item. What the overlay remembers by itself changes too often for sync's write
+  // quota, so it stays in storage.local.
+  const SITE_KEY_PREFIX = 'site:';
+  const SITE_STATE_KEY_PREFIX = 'siteState:';
+  const REMEMBERED_SITE_KEYS = ['fitMode', 'miniPaneRect', 'adjustments'];
+
+  // Playback history is kept in storage.local, one item per page so tabs don't write
+  // over each other's records, for this long and this many pages
+  const HISTORY_KEY_PREFIX = 'history:';
+  const HISTORY_MAX_AGE_DAYS = 30;
+  const HISTORY_MAX_ENTRIES = 200;
+
+  /**
+   * Get the name a key is bound by: letters are case-insensitive, space is "Space"
+   */
+  function normalizeKey(event) {
+    if (event.key === ' ') return 'Space';
+    return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  }
+
+  /**
+   * Get the key bindings, with defaults for actions the user never remapped
+   */
+  async function getKeyBindings() {
+    const { keyBindings } = await chrome.storage.sync.get('keyBindings');
+    return { ...DEFAULT_KEY_BINDINGS, ...keyBindings };
+  }
+
+  /**
+   * Save the key bindings
+   */
+  async function setKeyBindings(keyBindings) {
+    await chrome.storage.sync.set({ keyBindings });
+  }
+
+  /**
+   * Get the general preferences, with defaults for ones the user never changed
+   */
+  async function getPreferences() {
+    const { preferences } = await chrome.storage.sync.get('preferences');
+    return { ...DEFAULT_PREFERENCES, ...preferences };
+  }
+
+  /**
+   * Merge changes into the general preferences
+   */
+  async function updatePreferences(changes) {
+    const preferences = { ...await getPreferences(), ...changes };
+    await chrome.storage.sync.set({ preferences });
+    return preferences;
+  }
+
+  /**
+   * Get the detection rules, with defaults for lists the user never edited
+   */
+  async function getDetectionRules() {
+    const { detectionRules } = await chrome.storage.sync.get('detectionRules');
+    return { ...DEFAULT_DETECTION_RULES, ...detectionRules };
+  }
+
+  /**
+   * Save the detection rules
+   */
+  async function setDetectionRules(detectionRules) {
+    await chrome.storage.sync.set({ detectionRules });
+  }
+
+  /**
+   * Normalize a hostname into the key used for per-site settings
+   */
+  function getSiteKey(hostname) {
+    return (hostname || '').toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Check whether a storage change touches any site's settings
+   */
+  function isSiteSettingsChange(changes) {
+    return Object.keys(changes).some(key => key.startsWith(SITE_KEY_PREFIX) || key.startsWith(SITE_STATE_KEY_PREFIX));
+  }
+
+  /**
+   * Get the settings of every site, keyed by site key. Sites with only remembered
+   * state in storage.local are included.
+   */
+  async function getAllSiteSettings() {
+    const allSettings = {};
+    const collect = (items, prefix) => Object.keys(items).forEach(key => {
+      if (!key.startsWith(prefix)) return;
+
+      const site = key.slice(prefix.length);
+      allSettings[site] = { ...allSettings[site], ...items[key] };
+    });
+
+    collect(await chrome.storage.sync.get(null), SITE_KEY_PREFIX);
+    collect(await chrome.storage.local.get(null), SITE_STATE_KEY_PREFIX);
+    return allSettings;
+  }
+
+  /**
+   * Get the settings for one site
+   */
+  async function getSiteSettings(hostname) {
+    const site = getSiteKey(hostname);
+    const syncKey = SITE_KEY_PREFIX + site;
+    const localKey = SITE_STATE_KEY_PREFIX + site;
+    const { [syncKey]: settings } = await chrome.storage.sync.get(syncKey);
+    const { [localKey]: state } = await chrome.storage.local.get(localKey);
+
+    return { ...settings, ...state };
+  }
+
+  /**
+   * Merge changes into one site's settings, the remembered ones into storage.local
+   */
+  async function updateSiteSettings(hostname, changes) {
+    const site = getSiteKey(hostname);
+    const syncKey = SITE_KEY_PREFIX + site;
+    const localKey = SITE_STATE_KEY_PREFIX + site;
+    const settingChanges = {};
+    const stateChanges = {};
+
+    Object.keys(changes).forEach(key => {
+      (REMEMBERED_SITE_KEYS.includes(key) ? stateChanges : settingChanges)[key] = changes[key];
+    });
+
+    // Sync holds few items, so only sites with settings of their own get one. No
+    // changes at all adds an empty item, for a site added on the settings page.
+    const adding = Object.keys(changes).length === 0;
+    if (adding || Object.keys(settingChanges).length > 0) {
+      const { [syncKey]: settings } = await chrome.storage.sync.get(syncKey);
+      if (!adding || !settings) {
+        await chrome.storage.sync.set({ [syncKey]: { ...settings, ...settingChanges } });
+      }
+    }
+    if (Object.keys(stateChanges).length > 0) {
+      const { [localKey]: state } = await chrome.storage.local.get(localKey);
+      await chrome.storage.local.set({ [localKey]: { ...state, ...stateChanges } });
+    }
+
+    return getSiteSettings(hostname);
+  }
+
+  /**
+   * Forget everything stored for one site
+   */
+  async function removeSiteSettings(hostname) {
+    const site = getSiteKey(hostname);
+
+    await chrome.storage.sync.remove(SITE_KEY_PREFIX + site);
+    await chrome.storage.local.remove(SITE_STATE_KEY_PREFIX + site);
+  }
+
+  /**
+   * Replace every site's settings, splitting them into their storage areas
+   */
+  async function setAllSiteSettings(allSettings) {
+    const oldSites = Object.keys(await getAllSiteSettings());
+    await chrome.storage.sync.remove(oldSites.map(site => SITE_KEY_PREFIX + site));
+    await chrome.storage.local.remove(oldSites.map(site => SITE_STATE_KEY_PREFIX + site));
+
+    for (const [site, settings] of Object.entries(allSettings)) {
+      await updateSiteSettings(site, settings);
+    }
+  }
+
+  /**
+   * Move site settings saved by older versions, all in one "siteSettings" item, into
+   * their own items
+   */
+  async function migrateSiteSettings() {
+    const { siteSettings } = await chrome.storage.sync.get('siteSettings');
+    if (!siteSettings) return;
+
+    for (const [site, settings] of Object.entries(siteSettings)) {
+      await updateSiteSettings(site, settings);
+    }
+    await chrome.storage.sync.remove('siteSettings');
+  }
+
+  /**
+   * Get the key a page's playback record is stored under: its address without the fragment
+   */
+  function getHistoryKey(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Get the storage key a page's playback record is kept under
+   */
+  function getHistoryStorageKey(url) {
+    return HISTORY_KEY_PREFIX + getHistoryKey(url);
+  }
+
+  /**
+   * Check whether a storage change touches the playback history
+   */
+  function isPlaybackHistoryChange(changes) {
+    return Object.keys(changes).some(key => key.startsWith(HISTORY_KEY_PREFIX));
+  }
+
+  /**
+   * Get every page's playback record, keyed by address
+   */
+  async function getPlaybackHistory() {
+    const items = await chrome.storage.local.get(null);
+    const history = {};
+
+    Object.keys(items).forEach(key => {
+      if (key.startsWith(HISTORY_KEY_PREFIX)) history[key.slice(HISTORY_KEY_PREFIX.length)] = items[key];
+    });
+    return history;
+  }
+
+  /**
+   * Get the playback record for one page, or null
+   */
+  async function getPlaybackRecord(url) {
+    const key = getHistoryStorageKey(url);
+    const { [key]: record } = await chrome.storage.local.get(key);
+    return record || null;
+  }
+
+  /**
+   * Drop records past the age limit, then the oldest ones past the size limit
+   */
+  async function trimPlaybackHistory() {
+    const cutoff = Date.now() - HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const entries = Object.entries(await getPlaybackHistory())
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+    const dropped = entries
+      .filter(([, record], index) => !(record.updatedAt >= cutoff) || index >= HISTORY_MAX_ENTRIES)
+      .map(([url]) => HISTORY_KEY_PREFIX + url);
+
+    if (dropped.length > 0) await chrome.storage.local.remove(dropped);
+  }
+
+  /**
+   * Merge changes into one page's playback record. The history is trimmed when a
+   * new page joins it.
+   */
+  async function updatePlaybackRecord(url, changes) {
+    const key = getHistoryStorageKey(url);
+    const { [key]: previous } = await chrome.storage.local.get(key);
+    const record = { ...previous, ...changes, updatedAt: Date.now() };
+
+    await chrome.storage.local.set({ [key]: record });
+    if (!previous) await trimPlaybackHistory();
+
+    return record;
+  }
+
+  /**
+   * Forget one page's playback record
+   */
+  async function removePlaybackRecord(url) {
+    await chrome.storage.local.remove(getHistoryStorageKey(url));
+  }
+
+  /**
+   * Forget every page's playback record
+   */
+  async function clearPlaybackHistory() {
+    const history = await getPlaybackHistory();
+    await chrome.storage.local.remove(Object.keys(history).map(url => HISTORY_KEY_PREFIX + url));
+  }
+
+  /**
+   * Move playback history saved by older versions, all in one "playbackHistory" item,
+   * into an item per page
+   */
+  async function migratePlaybackHistory() {
+    const { playbackHistory } = await chrome.storage.local.get('playbackHistory');
+    if (!playbackHistory) return;
+
+    const items = {};
+    Object.entries(playbackHistory).forEach(([url, record]) => {
+      items[HISTORY_KEY_PREFIX + url] = record;
+    });
+    await chrome.storage.local.set(items);
+    await chrome.storage.local.remove('playbackHistory');
+    await trimPlaybackHistory();
+  }
+
+  /**
+   * Collect every setting into one object that can be saved as JSON and imported elsewhere
+   */
+  async function exportSettings() {
+    return {
+      version: 1,
+      keyBindings: await getKeyBindings(),
+      preferences: await getPreferences(),
+      detectionRules: await getDetectionRules(),
+      siteSettings: await getAllSiteSettings()
+    };
+  }
+
+  /**
+   * Replace the settings with ones from exportSettings. Sections missing from the
+   * import are left alone; malformed ones throw before anything is saved.
+   */
+  async function importSettings(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Not a Pane Fullscreen settings file');
+    }
+
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const changes = {};
+
+    if (data.keyBindings !== undefined) {
+      if (!isObject(data.keyBindings) || !Object.values(data.keyBindings).every(isStringList)) {
+        throw new Error('Invalid key bindings');
+      }
+      changes.keyBindings = data.keyBindings;
+    }
+
+    if (data.preferences !== undefined) {
+      if (!isObject(data.preferences)) {
+        throw new Error('Invalid preferences');
+      }
+      changes.preferences = data.preferences;
+    }
+
+    if (data.detectionRules !== undefined) {
+      if (!isObject(data.detectionRules) || !Object.values(data.detectionRules).every(isStringList)) {
+        throw new Error('Invalid detection rules');
+      }
+      changes.detectionRules = data.detectionRules;
+    }
+
+    if (data.siteSettings !== undefined) {
+      if (!isObject(data.siteSettings) || !Object.values(data.siteSettings).every(isObject)) {
+        throw new Error('Invalid site settings');
+      }
+    }
+
+    if (Object.keys(changes).length === 0 && data.siteSettings === undefined) {
+      throw new Error('Not a Pane Fullscreen settings file');
+    }
+
+    if (Object.keys(changes).length > 0) await chrome.storage.sync.set(changes);
+    if (data.siteSettings !== undefined) await setAllSiteSettings(data.siteSettings);
+  }
+
+  return {
+    DEFAULT_KEY_BINDINGS,
+    DEFAULT_PREFERENCES,
+    DEFAULT_DETECTION_RULES,
+    FIT_MODES,
+    FIT_MODE_LABELS,
+    STRATEGIES,
+    END_ACTIONS,
+    HISTORY_MAX_AGE_DAYS,
+    HISTORY_MAX_ENTRIES,
+    normalizeKey,
+    getKeyBindings,
+    setKeyBindings,
+    getPreferences,
+    updatePreferences,
+    getDetectionRules,
+    setDetectionRules,
+    getSiteKey,
+    isSiteSettingsChange,
+    getAllSiteSettings,
+    getSiteSettings,
+    updateSiteSettings,
+    removeSiteSettings,
+    migrateSiteSettings,
+    getHistoryStorageKey,
+    isPlaybackHistoryChange,
+    getPlaybackHistory,
+    getPlaybackRecord,
+    updatePlaybackRecord,
+    removePlaybackRecord,
+    clearPlaybackHistory,
+    migratePlaybackHistory,
+    exportSettings,
+    importSettings
+  };
+})();